@@ -1,14 +1,24 @@
 const express = require("express");
 const dotenv = require("dotenv");
+// Before the requires below, some of which read configuration at load time
+dotenv.config();
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const setupSwagger = require("./swagger/swagger");
+const { storageName } = require("./services/storage");
+const localStorage = require("./services/storage/localStorage");
+const { requestId, REQUEST_ID_HEADER } = require("./middleware/requestId");
+const { requestLogger } = require("./middleware/requestLogger");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
 
-dotenv.config();
 const app = express();
 
+// Request IDs and structured request logs
+app.use(requestId);
+app.use(requestLogger);
+
 // Security headers
 app.use(helmet());
 
@@ -19,7 +29,20 @@ app.use(helmet());
 // });
 // app.use(limiter);
 
-app.use(cors());
+// Credentials (the httpOnly refresh token cookie) are only allowed for the
+// origins listed in CLIENT_URL. Without it any origin may call the API, but
+// browsers won't send cookies cross-origin.
+const allowedOrigins = (process.env.CLIENT_URL || "")
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/$/, ""))
+  .filter(Boolean);
+app.use(
+  cors(
+    allowedOrigins.length
+      ? { origin: allowedOrigins, credentials: true, exposedHeaders: [REQUEST_ID_HEADER] }
+      : { origin: "*", exposedHeaders: [REQUEST_ID_HEADER] }
+  )
+);
 app.use(express.json());
 app.use(cookieParser());
 
@@ -27,6 +50,16 @@ app.use(cookieParser());
 const authRoutes = require("./routes/auth");
 const propertyRoutes = require("./routes/property");
 const adminRoutes = require("./routes/admin");
+const favoriteRoutes = require("./routes/favorites");
+const savedSearchRoutes = require("./routes/savedSearches");
+const notificationRoutes = require("./routes/notifications");
+const inquiryRoutes = require("./routes/inquiries");
+const appointmentRoutes = require("./routes/appointments");
+const feedRoutes = require("./routes/feeds");
+const agentRoutes = require("./routes/agents");
+const agencyRoutes = require("./routes/agencies");
+const webhookRoutes = require("./routes/webhooks");
+const streamRoutes = require("./routes/stream");
 
 app.get("/", (req, res) => {
   res
@@ -34,17 +67,30 @@ app.get("/", (req, res) => {
     .json({ success: true, message: "Welcome to the Real Estate API" });
 });
 
+// Files written by the local media backend
+if (storageName() === "local") {
+  app.use(localStorage.ROUTE, localStorage.serve());
+}
+
 app.use("/api/auth", authRoutes);
 app.use("/api/properties", propertyRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/favorites", favoriteRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/inquiries", inquiryRoutes);
+app.use("/api/appointments", appointmentRoutes);
+app.use("/api/feeds", feedRoutes);
+app.use("/api/agents", agentRoutes);
+app.use("/api/agencies", agencyRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/stream", streamRoutes);
 
 // Swagger documentation
 setupSwagger(app);
 
 // Centralized error handling
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ success: false, message: "Something went wrong!" });
-});
+app.use(notFound);
+app.use(errorHandler);
 
 module.exports = app;
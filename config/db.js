@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { logger } = require("./logger");
 
 const connectDatabase = () => {
   mongoose
@@ -6,7 +7,7 @@ const connectDatabase = () => {
       dbName: "qwikrealestate",
     })
     .then((data) => {
-      console.log(`mongod connected with server: ${data.connection.host}`);
+      logger.info("mongod connected", { host: data.connection.host });
     });
 };
 
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { createLogger, format, transports } = require("winston");
+
+// Holds the current request's ID so every log line written while handling it carries it
+const requestContext = new AsyncLocalStorage();
+
+const withRequestId = format((info) => {
+  const context = requestContext.getStore();
+  if (context && context.requestId && !info.requestId) info.requestId = context.requestId;
+  return info;
+});
+
+/**
+ * Structured JSON logger. LOG_LEVEL picks the minimum level (default
+ * "info"; "silent" turns logging off, e.g. for test runs). Errors passed
+ * as the last argument are logged with their stack.
+ */
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  silent: process.env.LOG_LEVEL === "silent",
+  format: format.combine(
+    withRequestId(),
+    format.errors({ stack: true }),
+    format.timestamp(),
+    format.json()
+  ),
+  defaultMeta: { service: process.env.SERVICE_NAME || "realestate-api" },
+  transports: [new transports.Console()],
+});
+
+module.exports = { logger, requestContext };
@@ -0,0 +1,26 @@
+const { createClient } = require("redis");
+const { logger } = require("./logger");
+
+let client;
+let connecting;
+
+/**
+ * Returns a connected Redis client, or null when REDIS_URL is not set or
+ * the server cannot be reached. Callers fall back to in-process behaviour.
+ */
+const getRedisClient = async () => {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!client) {
+    client = createClient({ url: process.env.REDIS_URL });
+    client.on("error", (err) => logger.error("Redis error", { error: err.message }));
+    connecting = client.connect().catch((err) => {
+      logger.error("Redis connection failed", { error: err.message });
+    });
+  }
+
+  await connecting;
+  return client.isReady ? client : null;
+};
+
+module.exports = { getRedisClient };
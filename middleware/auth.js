@@ -1,27 +1,58 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
 const protect = async (req, res, next) => {
-  let token;
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    throw new UnauthorizedError('No token provided', { code: 'NO_TOKEN' });
+  }
+
+  let decoded;
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError('Not authorized', {
+      code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+    });
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw new UnauthorizedError('User no longer exists', { code: 'INVALID_TOKEN' });
+  }
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw new UnauthorizedError('Token has been revoked', { code: 'TOKEN_REVOKED' });
+  }
+  if (user.isSuspended()) {
+    throw new ForbiddenError('Account suspended', { code: 'ACCOUNT_SUSPENDED' });
+  }
+  req.user = user;
+  next();
+};
+
+// Attaches req.user when a valid token is present, but never rejects the request
+const optionalAuth = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
-      token = req.headers.authorization.split(' ')[1];
+      const token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
+      const user = await User.findById(decoded.id).select('-password');
+      // Revoked tokens and suspended accounts are treated as anonymous rather than rejected
+      req.user =
+        user && (decoded.tv || 0) === (user.tokenVersion || 0) && !user.isSuspended() ? user : null;
     } catch (error) {
-      res.status(401).json({ message: 'Not authorized' });
+      req.user = null;
     }
-  } else {
-    res.status(401).json({ message: 'No token provided' });
   }
+  next();
 };
 
 const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
     next();
   } else {
-    res.status(403).json({ message: 'Not authorized as admin' });
+    throw new ForbiddenError('Not authorized as admin');
   }
 };
 
@@ -29,8 +60,19 @@ const agent = (req, res, next) => {
   if (req.user && (req.user.role === 'agent' || req.user.role === 'admin')) {
     next();
   } else {
-    res.status(403).json({ message: "Not authorized as agent" });
+    throw new ForbiddenError('Not authorized as agent');
+  }
+};
+
+// Requires a verified email address; admins are exempt
+const verified = (req, res, next) => {
+  if (req.user && (req.user.emailVerified || req.user.role === 'admin')) {
+    next();
+  } else {
+    throw new ForbiddenError('Please verify your email address first', {
+      code: 'EMAIL_NOT_VERIFIED',
+    });
   }
 };
 
-module.exports = { protect, admin, agent };
\ No newline at end of file
+module.exports = { protect, optionalAuth, admin, agent, verified };
\ No newline at end of file
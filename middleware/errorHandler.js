@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const { logger } = require("../config/logger");
+const { AppError, ValidationError, NotFoundError, ConflictError } = require("../utils/errors");
+
+/**
+ * Every error response uses one envelope:
+ *
+ *   {
+ *     "success": false,
+ *     "message": "Property not found",   // human-readable
+ *     "code": "NOT_FOUND",               // machine-readable, stable
+ *     "details": [...],                  // optional, e.g. field errors
+ *     "requestId": "…"                   // also sent as X-Request-Id
+ *   }
+ *
+ * Codes: VALIDATION_ERROR, INVALID_ID, INVALID_JSON, UNAUTHORIZED,
+ * FORBIDDEN, NOT_FOUND, CONFLICT, DUPLICATE_KEY, INVALID_GEOMETRY,
+ * PAYLOAD_TOO_LARGE and INTERNAL_ERROR, plus route-specific ones passed to
+ * the error classes.
+ */
+
+// Maps library errors (Mongoose, MongoDB, body-parser) onto AppErrors
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${err.path}`, {
+      code: err.kind === "ObjectId" ? "INVALID_ID" : "VALIDATION_ERROR",
+      details: [{ path: err.path, value: err.value, msg: `Invalid ${err.path}` }],
+    });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError("Validation failed", {
+      details: Object.values(err.errors).map((fieldError) => ({
+        path: fieldError.path,
+        value: fieldError.value,
+        msg: fieldError.message,
+      })),
+    });
+  }
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyPattern || err.keyValue || {})[0] || "value";
+    return new ConflictError(`${field} is already in use`, {
+      code: "DUPLICATE_KEY",
+      details: [{ path: field }],
+    });
+  }
+  // MongoDB's own geometry checks are stricter than parsePolygon (geodesic edges)
+  if (err.name === "MongoServerError" && err.code === 2 && /geo|loop|polygon/i.test(err.message)) {
+    return new ValidationError("Invalid map area", { code: "INVALID_GEOMETRY" });
+  }
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError("Malformed JSON body", { code: "INVALID_JSON" });
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body is too large", { status: 413, code: "PAYLOAD_TOO_LARGE" });
+  }
+  // Other client errors raised by Express middleware (http-errors)
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(err.expose ? err.message : "Bad request", { status, code: "BAD_REQUEST" });
+  }
+  return new AppError("Server error");
+};
+
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+};
+
+const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.status >= 500) logger.error("Unhandled error:", err);
+
+  // Streams that already started can only be cut off
+  if (res.headersSent) return req.socket.destroy();
+
+  res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    ...(error.details !== undefined ? { details: error.details } : {}),
+    requestId: req.id,
+  });
+};
+
+module.exports = { errorHandler, notFound, toAppError };
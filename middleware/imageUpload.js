@@ -0,0 +1,61 @@
+const multer = require("multer");
+const { imageSize } = require("../utils/imageSize");
+const { ValidationError } = require("../utils/errors");
+
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const MIN_WIDTH = Number(process.env.IMAGE_MIN_WIDTH) || 400;
+const MIN_HEIGHT = Number(process.env.IMAGE_MIN_HEIGHT) || 300;
+const MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 10000;
+const MAX_IMAGES_PER_PROPERTY = Number(process.env.PROPERTY_MAX_IMAGES) || 10;
+
+// Files stay in memory so they can be checked before anything is uploaded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (["image/jpeg", "image/png"].includes(file.mimetype)) return cb(null, true);
+    const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+    err.code = "INVALID_FILE_TYPE";
+    cb(err);
+  },
+});
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `Images must be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB`,
+  LIMIT_FILE_COUNT: "Too many images",
+  LIMIT_UNEXPECTED_FILE: "Too many images or unexpected file field",
+  INVALID_FILE_TYPE: "Only JPEG and PNG images are allowed",
+};
+
+/**
+ * Parses up to `maxCount` images from `field`, then checks each file's real
+ * dimensions. Fails with a ValidationError.
+ */
+const imageUpload = (field, maxCount) => (req, res, next) => {
+  upload.array(field, maxCount)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new ValidationError(MULTER_MESSAGES[err.code] || err.message));
+    }
+    if (err) return next(err);
+
+    for (const file of req.files || []) {
+      const size = imageSize(file.buffer);
+      if (!size) {
+        return next(new ValidationError(`${file.originalname} is not a valid JPEG or PNG image`));
+      }
+      if (size.width < MIN_WIDTH || size.height < MIN_HEIGHT) {
+        return next(
+          new ValidationError(`${file.originalname} must be at least ${MIN_WIDTH}x${MIN_HEIGHT} pixels`)
+        );
+      }
+      if (size.width > MAX_DIMENSION || size.height > MAX_DIMENSION) {
+        return next(
+          new ValidationError(`${file.originalname} must be at most ${MAX_DIMENSION} pixels on each side`)
+        );
+      }
+    }
+    next();
+  });
+};
+
+module.exports = { imageUpload, MAX_IMAGES_PER_PROPERTY };
@@ -0,0 +1,16 @@
+const crypto = require("crypto");
+const { requestContext } = require("../config/logger");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+// Reuse IDs from a proxy or client only when they look sane
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Tags the request with an ID, echoes it back, and scopes logs written while handling it
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = { requestId, REQUEST_ID_HEADER };
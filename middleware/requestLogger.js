@@ -0,0 +1,51 @@
+const { logger } = require("../config/logger");
+
+// Query parameters and path segments that carry credentials, e.g. the SSE
+// ?access_token= and the calendar feed token in /calendar/<token>.ics
+const SENSITIVE_PARAM = /token|secret|password|signature|key/i;
+const SECRET_SEGMENT = /^[A-Za-z0-9_-]{32,}(?=\.\w+$|$)/;
+const REDACTED = "[redacted]";
+
+// The request path with secrets masked, safe to write to the logs
+const loggablePath = (originalUrl) => {
+  const url = new URL(originalUrl, "http://localhost");
+  const path = url.pathname
+    .split("/")
+    .map((segment) => segment.replace(SECRET_SEGMENT, REDACTED))
+    .join("/");
+  for (const key of [...url.searchParams.keys()]) {
+    if (SENSITIVE_PARAM.test(key)) url.searchParams.set(key, REDACTED);
+  }
+  const query = url.searchParams.toString().replaceAll(encodeURIComponent(REDACTED), REDACTED);
+  return query ? `${path}?${query}` : path;
+};
+
+// One structured line per request once the response has been sent (or aborted)
+const requestLogger = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  // Captured up front; routers rewrite req.url while they run
+  const path = loggablePath(req.originalUrl);
+
+  const log = () => {
+    res.off("finish", log);
+    res.off("close", log);
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    logger.log(level, "request", {
+      requestId: req.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      contentLength: Number(res.get("Content-Length")) || undefined,
+      user: req.user ? String(req.user._id) : undefined,
+      ip: req.ip,
+      aborted: !res.writableFinished || undefined,
+    });
+  };
+
+  res.on("finish", log);
+  res.on("close", log);
+  next();
+};
+
+module.exports = { requestLogger };
@@ -0,0 +1,77 @@
+const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError("Validation failed", { details: errors.array() });
+  }
+  next();
+};
+
+const optionalFields = [
+  body("description")
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage("Description must be at most 2000 characters"),
+  body("licenseNumber")
+    .optional()
+    .isString()
+    .isLength({ max: 60 })
+    .withMessage("License number must be at most 60 characters"),
+  body("email").optional({ values: "falsy" }).isEmail().withMessage("Invalid email"),
+  body("phone").optional().isString().isLength({ max: 40 }).withMessage("Invalid phone number"),
+  body("website").optional({ values: "falsy" }).isURL().withMessage("Invalid website URL"),
+  body("address")
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage("Address must be at most 300 characters"),
+];
+
+exports.validateAgency = [
+  body("name")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 120 })
+    .withMessage("Name must be at most 120 characters"),
+  ...optionalFields,
+  handleErrors,
+];
+
+exports.validateAgencyMember = [
+  body("email").optional().isEmail().withMessage("Invalid email"),
+  body("userId").optional().isMongoId().withMessage("Invalid user ID"),
+  body()
+    .custom((value) => Boolean(value && (value.email || value.userId)))
+    .withMessage("email or userId is required"),
+  body("role").optional().isIn(["member", "admin"]).withMessage("Role must be member or admin"),
+  handleErrors,
+];
+
+exports.validateAgentProfile = [
+  body("bio")
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage("Bio must be at most 2000 characters"),
+  body("licenseNumber")
+    .optional()
+    .isString()
+    .isLength({ max: 60 })
+    .withMessage("License number must be at most 60 characters"),
+  body("serviceAreas")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Service areas must be a list of at most 20 places"),
+  body("serviceAreas.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage("Each service area must be a short place name"),
+  handleErrors,
+];
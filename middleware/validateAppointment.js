@@ -0,0 +1,36 @@
+const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError("Validation failed", { details: errors.array() });
+  }
+  next();
+};
+
+exports.validateAppointment = [
+  body("propertyId").isMongoId().withMessage("Invalid property ID"),
+  body("start").isISO8601().withMessage("Start must be an ISO 8601 date"),
+  body("mode").optional().isIn(["in_person", "virtual"]).withMessage("Mode must be in_person or virtual"),
+  body("notes").optional().isString().isLength({ max: 1000 }).withMessage("Notes must be at most 1000 characters"),
+  handleErrors,
+];
+
+exports.validateReschedule = [
+  body("start").isISO8601().withMessage("Start must be an ISO 8601 date"),
+  handleErrors,
+];
+
+exports.validateAvailability = [
+  body("timezone").optional().isString().withMessage("Timezone must be a string"),
+  body("slotMinutes").optional().isInt({ min: 15, max: 240 }).withMessage("Slot length must be between 15 and 240 minutes"),
+  body("weekly").optional().isArray().withMessage("Weekly availability must be an array"),
+  body("weekly.*.dayOfWeek").isInt({ min: 0, max: 6 }).withMessage("Day of week must be between 0 and 6"),
+  body("weekly.*.start").matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage("Window start must be HH:mm"),
+  body("weekly.*.end").matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage("Window end must be HH:mm"),
+  body("blackouts").optional().isArray().withMessage("Blackouts must be an array"),
+  body("blackouts.*.start").isISO8601().withMessage("Blackout start must be an ISO 8601 date"),
+  body("blackouts.*.end").isISO8601().withMessage("Blackout end must be an ISO 8601 date"),
+  handleErrors,
+];
@@ -0,0 +1,25 @@
+const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError("Validation failed", { details: errors.array() });
+  }
+  next();
+};
+
+exports.validatePasswordChange = [
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+  body("newPassword").isLength({ min: 8 }).withMessage("New password must be at least 8 characters"),
+  body("newPassword")
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage("New password must differ from the current password"),
+  handleErrors,
+];
+
+exports.validatePasswordReset = [
+  body("token").notEmpty().withMessage("Token is required"),
+  body("password").isLength({ min: 8 }).withMessage("Password must be at least 8 characters"),
+  handleErrors,
+];
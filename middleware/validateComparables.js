@@ -0,0 +1,23 @@
+const { query, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError("Validation failed", { details: errors.array() });
+  }
+  next();
+};
+
+exports.validateSimilar = [
+  query("limit").optional().isInt({ min: 1, max: 20 }).withMessage("Limit must be between 1 and 20"),
+  handleErrors,
+];
+
+exports.validateComparables = [
+  query("radius").optional().isFloat({ gt: 0, max: 50 }).withMessage("Radius must be between 0 and 50 km"),
+  query("months").optional().isInt({ min: 1, max: 36 }).withMessage("Months must be between 1 and 36"),
+  query("status").optional().isIn(["sold", "rented"]).withMessage("Status must be sold or rented"),
+  query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  handleErrors,
+];
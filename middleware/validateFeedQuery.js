@@ -0,0 +1,23 @@
+const { query, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+const STATUSES = ["active", "sold", "rented", "pending"];
+const FEED_MAX_ITEMS = Number(process.env.FEED_MAX_ITEMS) || 200;
+
+exports.validateFeedQuery = [
+  query("status")
+    .optional()
+    .custom((value) => String(value).split(",").every((status) => STATUSES.includes(status)))
+    .withMessage(`Status must be a comma-separated list of ${STATUSES.join(", ")}`),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: FEED_MAX_ITEMS })
+    .withMessage(`Limit must be between 1 and ${FEED_MAX_ITEMS}`),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError("Validation failed", { details: errors.array() });
+    }
+    next();
+  },
+];
@@ -0,0 +1,31 @@
+const { query, validationResult } = require("express-validator");
+const { parseBbox, parsePolygon } = require("../utils/geo");
+const { ValidationError } = require("../utils/errors");
+
+exports.validateGeoQuery = [
+  query("bbox")
+    .optional()
+    .custom((value) => Boolean(parseBbox(value)))
+    .withMessage("bbox must be minLng,minLat,maxLng,maxLat"),
+  query("polygon")
+    .optional()
+    .custom((value) => Boolean(parsePolygon(value)))
+    .withMessage("polygon must be 3 to 200 lng,lat points separated by ; that do not cross"),
+  query("lat").optional().isFloat({ min: -90, max: 90 }).withMessage("Latitude must be between -90 and 90"),
+  query("lng").optional().isFloat({ min: -180, max: 180 }).withMessage("Longitude must be between -180 and 180"),
+  query("radius").optional().isFloat({ min: 0 }).withMessage("Radius must be a non-negative number"),
+  query("sort")
+    .optional()
+    .custom((value, { req }) => value !== "distance" || (req.query.lat && req.query.lng))
+    .withMessage("Sorting by distance requires lat and lng")
+    .custom((value, { req }) => value !== "distance" || !req.query.search)
+    .withMessage("Sorting by distance cannot be combined with search"),
+  query("zoom").optional().isInt({ min: 0, max: 20 }).withMessage("Zoom must be between 0 and 20"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError("Validation failed", { details: errors.array() });
+    }
+    next();
+  },
+];
@@ -0,0 +1,14 @@
+const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+exports.validateMessage = [
+  body("message").isString().trim().notEmpty().withMessage("Message is required"),
+  body("message").isLength({ max: 5000 }).withMessage("Message must be at most 5000 characters"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError("Validation failed", { details: errors.array() });
+    }
+    next();
+  },
+];
@@ -1,6 +1,8 @@
 const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
 
-exports.validateProperty = [
+// Field rules shared by the listing form and bulk import
+const propertyRules = [
   body("title").notEmpty().withMessage("Title is required"),
   body("description").notEmpty().withMessage("Description is required"),
   body("price").isNumeric().withMessage("Price must be a number"),
@@ -11,9 +13,17 @@ exports.validateProperty = [
   body("squareFootage").optional().isInt({ min: 0 }).withMessage("Square footage must be a non-negative integer"),
   body("lat").optional().isFloat({ min: -90, max: 90 }).withMessage("Latitude must be between -90 and 90"),
   body("lng").optional().isFloat({ min: -180, max: 180 }).withMessage("Longitude must be between -180 and 180"),
+];
+
+exports.propertyRules = propertyRules;
+
+exports.validateProperty = [
+  ...propertyRules,
   (req, res, next) => {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    if (!errors.isEmpty()) {
+      throw new ValidationError("Validation failed", { details: errors.array() });
+    }
     next();
   },
-];
\ No newline at end of file
+];
@@ -0,0 +1,32 @@
+const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError("Validation failed", { details: errors.array() });
+  }
+  next();
+};
+
+exports.validateReview = [
+  body("rating").isInt({ min: 1, max: 5 }).withMessage("Rating must be a whole number from 1 to 5"),
+  body("comment")
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage("Comment must be at most 2000 characters"),
+  body("property").optional().isMongoId().withMessage("Invalid property ID"),
+  handleErrors,
+];
+
+exports.validateReply = [
+  body("body")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Reply is required")
+    .isLength({ max: 2000 })
+    .withMessage("Reply must be at most 2000 characters"),
+  handleErrors,
+];
@@ -0,0 +1,31 @@
+const { body, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+exports.validateSavedSearch = [
+  body("name").notEmpty().withMessage("Name is required"),
+  body("frequency").optional().isIn(["instant", "daily"]).withMessage("Frequency must be instant or daily"),
+  body("filters").optional().isObject().withMessage("Filters must be an object"),
+  body("filters.location")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Location must be text of at most 100 characters"),
+  body("filters.type").optional().isIn(["house", "apartment", "condo", "land"]).withMessage("Invalid property type"),
+  body("filters.priceMin").optional().isFloat({ min: 0 }).withMessage("Minimum price must be a non-negative number"),
+  body("filters.priceMax").optional().isFloat({ min: 0 }).withMessage("Maximum price must be a non-negative number"),
+  body("filters.bedrooms").optional().isInt({ min: 0 }).withMessage("Bedrooms must be a non-negative integer"),
+  body("filters.bathrooms").optional().isInt({ min: 0 }).withMessage("Bathrooms must be a non-negative integer"),
+  body("filters.squareFootageMin").optional().isInt({ min: 0 }).withMessage("Minimum square footage must be a non-negative integer"),
+  body("filters.squareFootageMax").optional().isInt({ min: 0 }).withMessage("Maximum square footage must be a non-negative integer"),
+  body("filters.lat").optional().isFloat({ min: -90, max: 90 }).withMessage("Latitude must be between -90 and 90"),
+  body("filters.lng").optional().isFloat({ min: -180, max: 180 }).withMessage("Longitude must be between -180 and 180"),
+  body("filters.radius").optional().isFloat({ min: 0 }).withMessage("Radius must be a non-negative number"),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError("Validation failed", { details: errors.array() });
+    }
+    next();
+  },
+];
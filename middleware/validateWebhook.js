@@ -0,0 +1,49 @@
+const { body, validationResult } = require("express-validator");
+const Webhook = require("../models/Webhook");
+const { ValidationError } = require("../utils/errors");
+const { assertPublicUrl } = require("../utils/network");
+
+const handleErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError("Validation failed", { details: errors.array() });
+  }
+  next();
+};
+
+// Endpoints must resolve to public addresses; deliveries check again before each request
+const urlRule = () =>
+  body("url")
+    .isURL({
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: process.env.NODE_ENV === "production",
+    })
+    .withMessage("URL must be a valid http(s) URL")
+    .bail()
+    .custom(async (url) => {
+      await assertPublicUrl(url);
+    });
+
+const eventRules = () => [
+  body("events").isArray({ min: 1 }).withMessage("Subscribe to at least one event"),
+  body("events.*").isIn(Webhook.EVENTS).withMessage(`Events must be among: ${Webhook.EVENTS.join(", ")}`),
+];
+
+const commonRules = [
+  body("description")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Description must be at most 200 characters"),
+  body("active").optional().isBoolean().withMessage("Active must be true or false"),
+];
+
+exports.validateWebhook = [urlRule(), ...eventRules(), ...commonRules, handleErrors];
+
+exports.validateWebhookUpdate = [
+  urlRule().optional(),
+  ...eventRules().map((rule) => rule.optional()),
+  ...commonRules,
+  handleErrors,
+];
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// A brokerage that agents belong to. Membership lives on User (agency, agencyRole,
+// agencyJoinedAt); agents only join by accepting an AgencyInvitation.
+const agencySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 120 },
+  description: { type: String, trim: true, maxlength: 2000, default: "" },
+  licenseNumber: { type: String, trim: true, maxlength: 60 },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true },
+  website: { type: String, trim: true },
+  address: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+agencySchema.index({ name: 1 });
+
+module.exports = mongoose.model("Agency", agencySchema);
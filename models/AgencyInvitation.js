@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// An agency admin's offer to an agent; membership starts only once the agent accepts
+const agencyInvitationSchema = new mongoose.Schema({
+  agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  role: { type: String, enum: ["member", "admin"], default: "member" },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "revoked"],
+    default: "pending",
+  },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: { type: Date },
+});
+
+// One open invitation per agent and agency
+agencyInvitationSchema.index(
+  { agency: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+agencyInvitationSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model("AgencyInvitation", agencyInvitationSchema);
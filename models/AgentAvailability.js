@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const availabilitySchema = new mongoose.Schema({
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+  timezone: { type: String, default: "UTC" }, // IANA zone the weekly windows are expressed in
+  slotMinutes: { type: Number, default: 30, min: 15, max: 240 },
+  weekly: [
+    {
+      _id: false,
+      dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      start: { type: String, match: TIME_PATTERN, required: true }, // "HH:mm"
+      end: { type: String, match: TIME_PATTERN, required: true },
+    },
+  ],
+  blackouts: [
+    {
+      start: { type: Date, required: true },
+      end: { type: Date, required: true },
+      reason: { type: String, trim: true },
+    },
+  ],
+  feedToken: { type: String, index: true }, // Secret for the public iCalendar feed
+  updatedAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("AgentAvailability", availabilitySchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Statuses that still hold the agent's time
+const BLOCKING_STATUSES = ["requested", "confirmed"];
+
+const appointmentSchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  mode: { type: String, enum: ["in_person", "virtual"], default: "in_person" },
+  status: {
+    type: String,
+    enum: ["requested", "confirmed", "declined", "cancelled"],
+    default: "requested",
+  },
+  notes: { type: String, trim: true, default: "" },
+  meetingUrl: { type: String, trim: true },
+  declineReason: { type: String, trim: true },
+  rescheduledFrom: { start: Date, end: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+appointmentSchema.index({ agent: 1, start: 1, end: 1 });
+appointmentSchema.index({ buyer: 1, start: 1 });
+
+// Finds another blocking appointment for the same agent overlapping [start, end)
+appointmentSchema.statics.findConflict = function (agentId, start, end, excludeId) {
+  const query = {
+    agent: agentId,
+    status: { $in: BLOCKING_STATUSES },
+    start: { $lt: end },
+    end: { $gt: start },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.findOne(query);
+};
+
+appointmentSchema.statics.BLOCKING_STATUSES = BLOCKING_STATUSES;
+
+module.exports = mongoose.model("Appointment", appointmentSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Append-only record of privileged and security-relevant events
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true }, // e.g. auth.login, property.updated
+  outcome: { type: String, enum: ["success", "failure"], default: "success" },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  actorRole: { type: String },
+  target: {
+    type: { type: String }, // "user" or "property"
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  ip: { type: String },
+  userAgent: { type: String },
+  changes: [
+    {
+      _id: false,
+      field: { type: String },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ "target.id": 1, createdAt: -1 });
+
+const rejectUpdate = function () {
+  throw new Error("Audit log entries are append-only");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"].forEach((op) =>
+  auditLogSchema.pre(op, rejectUpdate)
+);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Audit log entries are append-only");
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
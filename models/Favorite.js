@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const favoriteSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One favorite per user/property pair
+favoriteSchema.index({ user: 1, property: 1 }, { unique: true });
+favoriteSchema.index({ property: 1 }); // Index for per-property counts and cleanup
+
+// Returns plain property objects with an `isFavorited` flag for the given user
+favoriteSchema.statics.markFavorited = async function (userId, properties) {
+  const list = Array.isArray(properties) ? properties : [properties];
+  let favoritedIds = new Set();
+
+  if (userId && list.length) {
+    const favorites = await this.find({
+      user: userId,
+      property: { $in: list.map((p) => p._id) },
+    }).select("property");
+    favoritedIds = new Set(favorites.map((f) => f.property.toString()));
+  }
+
+  const marked = list.map((p) => ({
+    ...(typeof p.toObject === "function" ? p.toObject() : p),
+    isFavorited: favoritedIds.has(p._id.toString()),
+  }));
+
+  return Array.isArray(properties) ? marked : marked[0];
+};
+
+module.exports = mongoose.model("Favorite", favoriteSchema);
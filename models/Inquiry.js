@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A buyer-to-agent conversation about a single listing
+const inquirySchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  subject: { type: String, trim: true, default: "" },
+  lastMessageAt: { type: Date, default: Date.now },
+  lastMessagePreview: { type: String, default: "" },
+  // Read and archive state is tracked per participant
+  buyerUnread: { type: Number, default: 0, min: 0 },
+  agentUnread: { type: Number, default: 0, min: 0 },
+  buyerArchived: { type: Boolean, default: false },
+  agentArchived: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// One thread per buyer per listing
+inquirySchema.index({ property: 1, buyer: 1 }, { unique: true });
+inquirySchema.index({ agent: 1, lastMessageAt: -1 });
+inquirySchema.index({ buyer: 1, lastMessageAt: -1 });
+
+// Returns "buyer", "agent" or null for the given user
+inquirySchema.methods.participantRole = function (userId) {
+  const id = userId.toString();
+  if (this.buyer.toString() === id) return "buyer";
+  if (this.agent.toString() === id) return "agent";
+  return null;
+};
+
+module.exports = mongoose.model("Inquiry", inquirySchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Remote deletions that failed and are waiting to be retried
+const mediaDeletionSchema = new mongoose.Schema({
+  public_id: { type: String, required: true, unique: true },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  nextAttemptAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+mediaDeletionSchema.index({ nextAttemptAt: 1 });
+
+module.exports = mongoose.model("MediaDeletion", mediaDeletionSchema);
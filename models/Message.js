@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema({
+  inquiry: { type: mongoose.Schema.Types.ObjectId, ref: "Inquiry", required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  body: { type: String, required: true, trim: true, maxlength: 5000 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+messageSchema.index({ inquiry: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -4,17 +4,56 @@ const propertySchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
   description: { type: String, required: true, trim: true },
   price: { type: Number, required: true, min: 0 },
+  previousPrice: { type: Number, min: 0 }, // Price before the most recent change
+  priceChangedAt: { type: Date },
+  priceChangePercent: { type: Number }, // Negative when the price went down
+  priceReduced: { type: Boolean, default: false },
   location: { type: String, required: true, trim: true },
   type: { type: String, enum: ["house", "apartment", "condo", "land"], required: true },
   amenities: [{ type: String, trim: true }],
-  images: [{ url: String, public_id: String }],
+  // Display order is array order; exactly one image is flagged as the cover
+  images: [
+    {
+      url: String,
+      public_id: String,
+      alt: { type: String, trim: true, maxlength: 250 },
+      caption: { type: String, trim: true, maxlength: 500 },
+      isCover: { type: Boolean, default: false },
+      width: Number,
+      height: Number,
+      bytes: Number,
+    },
+  ],
   agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  externalRef: { type: String, trim: true, maxlength: 100 }, // Agent's own ID, used by bulk import
   createdAt: { type: Date, default: Date.now },
   bedrooms: { type: Number, default: 0, min: 0 },
   bathrooms: { type: Number, default: 0, min: 0 },
   squareFootage: { type: Number, default: 0, min: 0 },
   status: { type: String, enum: ["active", "sold", "rented", "pending"], default: "active" },
-  views: { type: Number, default: 0, min: 0 },
+  closedAt: { type: Date }, // When the listing last became sold or rented
+  // Publication lifecycle, separate from the sale status above. No schema
+  // default: older listings without the field are treated as published.
+  publicationStatus: {
+    type: String,
+    enum: ["draft", "submitted", "published", "rejected", "unpublished"],
+  },
+  moderation: {
+    submittedAt: { type: Date },
+    reviewedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    rejectionReason: { type: String, trim: true },
+    comments: [
+      {
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        body: { type: String, trim: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  publishedAt: { type: Date },
+  views: { type: Number, default: 0, min: 0 }, // Every non-bot hit
+  uniqueViews: { type: Number, default: 0, min: 0 }, // Deduplicated per viewer per window
   locationCoordinates: {
     type: { type: String, enum: ['Point'], default: 'Point' },
     coordinates: { type: [Number], default: [0, 0] } // [longitude, latitude]
@@ -25,5 +64,45 @@ const propertySchema = new mongoose.Schema({
 propertySchema.index({ locationCoordinates: '2dsphere' }); // Geospatial index
 propertySchema.index({ title: 'text', description: 'text' }); // Full-text search
 propertySchema.index({ agent: 1 }); // Index for agent-based queries
+propertySchema.index({ publicationStatus: 1, "moderation.submittedAt": 1 }); // Review queue
+propertySchema.index(
+  { agent: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: "string" } } }
+); // Import upserts
+
+// Keeps a single cover image, defaulting to the first one
+propertySchema.pre("save", function () {
+  if (!this.isModified("images") || !this.images.length) return;
+  const coverIndex = this.images.findIndex((img) => img.isCover);
+  this.images.forEach((img, i) => {
+    img.isCover = i === (coverIndex === -1 ? 0 : coverIndex);
+  });
+});
+
+// Listings created before moderation existed have no publicationStatus and stay public
+propertySchema.statics.PUBLIC_FILTER = { publicationStatus: { $in: ["published", null] } };
+
+// Updates the price and the denormalized badge fields shown in listing responses
+propertySchema.methods.setPrice = function (newPrice) {
+  if (newPrice === this.price) return;
+  if (this.price) {
+    this.previousPrice = this.price;
+    this.priceChangePercent = Math.round(((newPrice - this.price) / this.price) * 10000) / 100;
+    this.priceReduced = newPrice < this.price;
+    this.priceChangedAt = Date.now();
+  }
+  this.price = newPrice;
+};
+
+propertySchema.methods.isPublished = function () {
+  return !this.publicationStatus || this.publicationStatus === "published";
+};
+
+// Sends the listing back to the review queue; it stays hidden until approved again
+propertySchema.methods.resubmit = function () {
+  this.publicationStatus = "submitted";
+  this.moderation.submittedAt = Date.now();
+  this.moderation.rejectionReason = undefined;
+};
 
 module.exports = mongoose.model("Property", propertySchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Append-only audit trail of listing edits
+const propertyChangeSchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  action: { type: String, required: true }, // create, update, status, submit, approve, ...
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+propertyChangeSchema.index({ property: 1, createdAt: -1 });
+propertyChangeSchema.index({ property: 1, "changes.field": 1, createdAt: 1 });
+
+// Entries are never rewritten once stored
+const rejectUpdate = function () {
+  throw new Error("Property change log entries are append-only");
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"].forEach((op) =>
+  propertyChangeSchema.pre(op, rejectUpdate)
+);
+propertyChangeSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Property change log entries are append-only");
+});
+
+module.exports = mongoose.model("PropertyChange", propertyChangeSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Start of each viewer's current dedup window on a listing
+const propertyViewerSchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  viewerKey: { type: String, required: true }, // Same key as ViewEvent.viewerKey
+  windowStart: { type: Date, required: true }, // Time of the viewer's last unique view
+  // windowStart plus the dedup window; past it the record no longer matters
+  expiresAt: { type: Date, required: true },
+});
+
+propertyViewerSchema.index({ property: 1, viewerKey: 1 }, { unique: true });
+propertyViewerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PropertyViewer", propertyViewerSchema);
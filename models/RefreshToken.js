@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Refresh tokens are stored hashed; the raw value only ever lives in the cookie
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true }, // Shared by every token rotated from the same login
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  replacedBy: { type: String }, // Hash of the token issued when this one was rotated
+  createdByIp: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB purge expired tokens
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// A buyer's rating of an agent, optionally about one listing they dealt with
+const reviewSchema = new mongoose.Schema({
+  agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  buyer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property" },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: { validator: Number.isInteger, message: "Rating must be a whole number" },
+  },
+  comment: { type: String, trim: true, maxlength: 2000, default: "" },
+  reply: {
+    body: { type: String, trim: true, maxlength: 2000 },
+    repliedAt: { type: Date },
+  },
+  // Hidden reviews are kept for moderation but excluded from listings and ratings
+  status: { type: String, enum: ["published", "hidden"], default: "published" },
+  moderation: {
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String, trim: true },
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// One review per buyer per agent
+reviewSchema.index({ agent: 1, buyer: 1 }, { unique: true });
+reviewSchema.index({ agent: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Recomputes the agent's denormalized rating from their published reviews.
+ * Call after any change that can affect it.
+ */
+reviewSchema.statics.refreshAgentRating = async function (agentId) {
+  const [stats] = await this.aggregate([
+    { $match: { agent: new mongoose.Types.ObjectId(String(agentId)), status: "published" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const rating = stats
+    ? { average: Math.round(stats.average * 10) / 10, count: stats.count }
+    : { average: null, count: 0 };
+  await mongoose.model("User").updateOne({ _id: agentId }, { $set: { rating } });
+  return rating;
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const savedSearchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  name: { type: String, required: true, trim: true },
+  // Same filter keys accepted by GET /api/properties
+  filters: {
+    location: { type: String, trim: true },
+    priceMin: { type: Number, min: 0 },
+    priceMax: { type: Number, min: 0 },
+    type: { type: String, enum: ["house", "apartment", "condo", "land"] },
+    amenities: [{ type: String, trim: true }],
+    bedrooms: { type: Number, min: 0 },
+    bathrooms: { type: Number, min: 0 },
+    squareFootageMin: { type: Number, min: 0 },
+    squareFootageMax: { type: Number, min: 0 },
+    search: { type: String, trim: true },
+    lat: { type: Number, min: -90, max: 90 },
+    lng: { type: Number, min: -180, max: 180 },
+    radius: { type: Number, min: 0 }, // Kilometres
+  },
+  frequency: { type: String, enum: ["instant", "daily"], default: "instant" },
+  lastDigestAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ "filters.type": 1 }); // Narrows candidates when matching new listings
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+const savedSearchMatchSchema = new mongoose.Schema({
+  savedSearch: { type: mongoose.Schema.Types.ObjectId, ref: "SavedSearch", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  notifiedAt: { type: Date }, // Unset until an instant alert or digest has gone out
+  createdAt: { type: Date, default: Date.now },
+});
+
+// A listing is only ever matched once per saved search
+savedSearchMatchSchema.index({ savedSearch: 1, property: 1 }, { unique: true });
+savedSearchMatchSchema.index({ savedSearch: 1, notifiedAt: 1 });
+savedSearchMatchSchema.index({ property: 1 });
+
+module.exports = mongoose.model("SavedSearchMatch", savedSearchMatchSchema);
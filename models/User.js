@@ -6,14 +6,45 @@ const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   phone: { type: String, required: true, unique: true },
   password: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
   role: { type: String, enum: ["buyer", "agent", "admin"], default: "buyer" },
+  status: { type: String, enum: ["active", "suspended"], default: "active" },
+  suspension: {
+    reason: { type: String, trim: true },
+    at: { type: Date },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
   createdAt: { type: Date, default: Date.now },
+  tokenVersion: { type: Number, default: 0 }, // Bumped to invalidate every issued access token
   avatar: {
     public_id: { type: String },
     url: { type: String},
   },
+  // Public profile, shown for agents
+  profile: {
+    bio: { type: String, trim: true, maxlength: 2000 },
+    licenseNumber: { type: String, trim: true, maxlength: 60 },
+    serviceAreas: [{ type: String, trim: true }],
+  },
+  agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+  // Agency admins can manage every listing of the agency's agents
+  agencyRole: { type: String, enum: ["member", "admin"] },
+  // Set when the agent founds the agency or accepts an invitation to it
+  agencyJoinedAt: { type: Date },
+  // Kept in sync with published reviews by Review.refreshAgentRating
+  rating: {
+    average: { type: Number, default: null },
+    count: { type: Number, default: 0, min: 0 },
+  },
 });
 
+userSchema.index({ role: 1, status: 1 });
+userSchema.index({ agency: 1 });
+
+// Agent fields shown wherever a listing populates its agent
+userSchema.statics.AGENT_SUMMARY_FIELDS = "name email rating";
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   const salt = await bcrypt.genSalt(10);
@@ -25,4 +56,8 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.methods.isSuspended = function () {
+  return this.status === "suspended";
+};
+
 module.exports = mongoose.model("User", userSchema);
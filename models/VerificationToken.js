@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens for email verification and password reset, stored hashed
+const verificationTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  purpose: { type: String, enum: ["email_verification", "password_reset"], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  email: { type: String }, // Address being verified, so a later email change voids the token
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+verificationTokenSchema.index({ user: 1, purpose: 1 });
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("VerificationToken", verificationTokenSchema);
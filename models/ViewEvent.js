@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// One document per unique view (see PropertyViewer for how views are deduplicated)
+const viewEventSchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: "Property", required: true },
+  viewerKey: { type: String, required: true }, // User id, or a hash of IP + user agent
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+viewEventSchema.index({ createdAt: -1, property: 1 });
+
+module.exports = mongoose.model("ViewEvent", viewEventSchema);
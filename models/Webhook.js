@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const WEBHOOK_EVENTS = [
+  "property.created",
+  "property.updated",
+  "property.status_changed",
+  "property.unpublished",
+  "property.deleted",
+  "user.registered",
+];
+
+// An endpoint that receives signed event deliveries
+const webhookSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // "all": every event (admin endpoints); "own": only events on the owner's listings
+  scope: { type: String, enum: ["all", "own"], required: true },
+  url: { type: String, required: true, trim: true },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  description: { type: String, trim: true, maxlength: 200, default: "" },
+  secret: { type: String, required: true, select: false }, // HMAC key, shown on create/rotate
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+webhookSchema.index({ owner: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One attempt series to send an event to a webhook; redeliveries get a new record
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+  event: { type: String, required: true },
+  eventId: { type: String, required: true }, // Shared by redeliveries of the same event
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  responseBody: { type: String },
+  error: { type: String },
+  durationMs: { type: Number },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery" },
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date },
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -2,46 +2,614 @@ const express = require('express');
 const router = express.Router();
 const Property = require('../models/Property');
 const User = require('../models/User');
+const Inquiry = require('../models/Inquiry');
+const Message = require('../models/Message');
+const Review = require('../models/Review');
+const mongoose = require('mongoose');
+const cache = require('../services/cache');
+const { removePropertyData } = require('../services/propertyCleanup');
+const { recordMatches } = require('../services/savedSearchAlerts');
+const { notify } = require('../services/notifier');
+const { snapshot, recordChanges } = require('../services/changeLog');
+const { reassignListings, deleteUserCascade } = require('../services/userCleanup');
+const { destroyImages } = require('../services/media');
+const { emitPropertyEvent } = require('../services/webhooks');
+const { publishPropertyEvent } = require('../services/realtime');
+const { revokeAllForUser } = require('../utils/tokens');
+const { audit } = require('../services/auditLog');
+const AuditLog = require('../models/AuditLog');
+const { toCsvRow } = require('../utils/csv');
+const { escapeRegex } = require('../utils/regex');
+const analytics = require('../services/marketAnalytics');
 const { protect, admin } = require('../middleware/auth');
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errors');
+const { logger } = require('../config/logger');
+
+// Shared lookup for the user management routes; throws on failure
+const findTargetUser = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError('Invalid user ID', { code: 'INVALID_ID' });
+  }
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (user._id.equals(req.user._id)) {
+    throw new ValidationError('You cannot perform this action on your own account');
+  }
+  return user;
+};
+
+// Resolves the agent listings are being handed to; throws on failure
+const findReassignTarget = async (id, fromUser) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ValidationError('Invalid target agent ID', { code: 'INVALID_ID' });
+  }
+  const target = await User.findById(id);
+  if (!target || !['agent', 'admin'].includes(target.role) || target.isSuspended()) {
+    throw new ValidationError('Target must be an active agent');
+  }
+  if (target._id.equals(fromUser._id)) {
+    throw new ValidationError('Target must be a different agent');
+  }
+  return target;
+};
 
 router.get('/users', protect, admin, async (req, res) => {
-  try {
-    const users = await User.find().select('-password');
-    res.json(users);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const { search, role, status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search)), 'i');
+    query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+  if (role) query.role = String(role);
+  if (status === 'active') query.status = { $in: ['active', null] };
+  else if (status) query.status = String(status);
+
+  const total = await User.countDocuments(query);
+  const users = await User.find(query)
+    .select('-password')
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit);
+
+  res.json({ total, page: +page, pages: Math.ceil(total / +limit), users });
+});
+
+router.patch('/users/:id/suspend', protect, admin, async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const previousStatus = user.status;
+  user.status = 'suspended';
+  user.suspension = { reason: req.body.reason, at: Date.now(), by: req.user._id };
+  await user.save();
+  // Suspended users cannot refresh their way back in
+  await revokeAllForUser(user._id);
+  await audit(req, {
+    action: 'admin.user_suspended',
+    target: { type: 'user', id: user._id },
+    changes: [{ field: 'status', before: previousStatus, after: 'suspended' }],
+    metadata: { reason: req.body.reason },
+  });
+
+  res.json({ message: 'User suspended', status: user.status, suspension: user.suspension });
+});
+
+router.patch('/users/:id/reinstate', protect, admin, async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const previousStatus = user.status;
+  user.status = 'active';
+  user.suspension = undefined;
+  await user.save();
+  await audit(req, {
+    action: 'admin.user_reinstated',
+    target: { type: 'user', id: user._id },
+    changes: [{ field: 'status', before: previousStatus, after: 'active' }],
+  });
+
+  res.json({ message: 'User reinstated', status: user.status });
+});
+
+router.patch('/users/:id/role', protect, admin, async (req, res) => {
+  const { role } = req.body;
+  if (!['buyer', 'agent', 'admin'].includes(role)) {
+    throw new ValidationError('Invalid role');
+  }
+
+  const user = await findTargetUser(req);
+
+  // A buyer cannot own listings, so they must be handed over first
+  if (role === 'buyer' && (await Property.exists({ agent: user._id }))) {
+    throw new ConflictError('Reassign this agent\'s listings before demoting them to buyer');
   }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+  await audit(req, {
+    action: 'admin.role_changed',
+    target: { type: 'user', id: user._id },
+    changes: [{ field: 'role', before: previousRole, after: role }],
+  });
+
+  res.json({ message: 'Role updated', role: user.role });
+});
+
+router.post('/users/:id/reassign-listings', protect, admin, async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const target = await findReassignTarget(req.body.toAgentId, user);
+
+  const moved = await reassignListings(user._id, target._id);
+  await audit(req, {
+    action: 'admin.listings_reassigned',
+    target: { type: 'user', id: user._id },
+    metadata: { toAgent: target._id, count: moved },
+  });
+  res.json({ message: 'Listings reassigned', count: moved, toAgent: target._id });
 });
 
+// ?reassignTo=<agentId> hands listings over instead of deleting them
 router.delete('/users/:id', protect, admin, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ message: 'User not found' });
-    await user.remove();
-    res.json({ message: 'User deleted' });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const user = await findTargetUser(req);
+
+  let target;
+  if (req.query.reassignTo) {
+    target = await findReassignTarget(req.query.reassignTo, user);
   }
+
+  const summary = await deleteUserCascade(user, { reassignTo: target && target._id });
+  await audit(req, {
+    action: 'admin.user_deleted',
+    target: { type: 'user', id: user._id },
+    metadata: { email: user.email, role: user.role, ...summary },
+  });
+  res.json({ message: 'User deleted', ...summary });
 });
 
 router.get('/properties', protect, admin, async (req, res) => {
-  try {
-    const properties = await Property.find().populate('agent', 'name email');
-    res.json(properties);
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
-  }
+  const query = {};
+  if (req.query.publicationStatus) query.publicationStatus = String(req.query.publicationStatus);
+  const properties = await Property.find(query).populate('agent', 'name email');
+  res.json(properties);
 });
 
 router.delete('/properties/:id', protect, admin, async (req, res) => {
-  try {
-    const property = await Property.findById(req.params.id);
-    if (!property) return res.status(404).json({ message: 'Property not found' });
-    await property.remove();
-    res.json({ message: 'Property deleted' });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  const property = await Property.findById(req.params.id);
+  if (!property) throw new NotFoundError('Property not found');
+  await destroyImages(property.images);
+  await property.deleteOne();
+  await removePropertyData(property._id);
+  await audit(req, {
+    action: 'admin.property_deleted',
+    target: { type: 'property', id: property._id },
+    metadata: { title: property.title, agent: property.agent },
+  });
+  await cache.invalidateListings();
+  emitPropertyEvent('property.deleted', property);
+  publishPropertyEvent('property.deleted', property);
+  res.json({ message: 'Property deleted' });
+});
+
+// Listings waiting for review, oldest submission first
+router.get('/review-queue', protect, admin, async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const query = { publicationStatus: 'submitted' };
+  const total = await Property.countDocuments(query);
+  const properties = await Property.find(query)
+    .sort({ 'moderation.submittedAt': 1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate('agent', 'name email');
+
+  res.json({ total, page: +page, pages: Math.ceil(total / +limit), properties });
+});
+
+// Shared lookup for the moderation actions; throws on failure
+const findSubmittedProperty = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError('Invalid property ID', { code: 'INVALID_ID' });
+  }
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError('Property not found');
+  }
+  if (property.publicationStatus !== 'submitted') {
+    throw new ValidationError('Property is not awaiting review');
+  }
+  return property;
+};
+
+router.post('/properties/:id/approve', protect, admin, async (req, res) => {
+  const property = await findSubmittedProperty(req);
+
+  // Listings only go live under an agent who still has a verified address
+  const listingAgent = await User.findById(property.agent).select('emailVerified role');
+  if (!listingAgent) throw new ValidationError('The listing\'s agent no longer exists');
+  if (!listingAgent.emailVerified && listingAgent.role !== 'admin') {
+    throw new ForbiddenError('The listing\'s agent has not verified their email address', {
+      code: 'EMAIL_NOT_VERIFIED',
+    });
+  }
+
+  const before = snapshot(property);
+  const isFirstPublication = !property.publishedAt;
+  property.publicationStatus = 'published';
+  property.publishedAt = property.publishedAt || Date.now();
+  property.moderation.reviewedAt = Date.now();
+  property.moderation.reviewedBy = req.user._id;
+  if (req.body.comment) {
+    property.moderation.comments.push({ author: req.user._id, body: req.body.comment });
+  }
+  await property.save();
+  const change = await recordChanges(property, before, req.user._id, 'approve');
+  await audit(req, {
+    action: 'admin.property_approved',
+    target: { type: 'property', id: property._id },
+    changes: change ? change.changes : [],
+  });
+  await cache.invalidateListings();
+
+  recordMatches(property).catch((error) => logger.error(error));
+  // Subscribers see a first publication as a new listing in their location
+  const event = isFirstPublication ? 'property.created' : 'property.updated';
+  emitPropertyEvent(event, property);
+  publishPropertyEvent(event, property);
+  notify({
+    user: property.agent,
+    type: 'property.approved',
+    title: `"${property.title}" is now published`,
+    message: req.body.comment || '',
+    data: { property: property._id },
+  }).catch((error) => logger.error(error));
+
+  res.json(property);
+});
+
+router.post('/properties/:id/reject', protect, admin, async (req, res) => {
+  const { reason, comment } = req.body;
+  if (!reason) throw new ValidationError('A rejection reason is required');
+
+  const property = await findSubmittedProperty(req);
+
+  const before = snapshot(property);
+  property.publicationStatus = 'rejected';
+  property.moderation.reviewedAt = Date.now();
+  property.moderation.reviewedBy = req.user._id;
+  property.moderation.rejectionReason = reason;
+  if (comment) {
+    property.moderation.comments.push({ author: req.user._id, body: comment });
+  }
+  await property.save();
+  const change = await recordChanges(property, before, req.user._id, 'reject');
+  await audit(req, {
+    action: 'admin.property_rejected',
+    target: { type: 'property', id: property._id },
+    changes: change ? change.changes : [],
+    metadata: { reason },
+  });
+
+  // Submitted listings are not public, so a rejection has no webhook or realtime event
+  notify({
+    user: property.agent,
+    type: 'property.rejected',
+    title: `"${property.title}" was not approved`,
+    message: reason,
+    data: { property: property._id },
+  }).catch((error) => logger.error(error));
+
+  res.json(property);
+});
+
+// Read-only access to inquiry threads for dispute handling
+router.get('/inquiries', protect, admin, async (req, res) => {
+  const { property, buyer, agent, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  for (const [key, value] of Object.entries({ property, buyer, agent })) {
+    if (!value) continue;
+    if (!mongoose.isValidObjectId(value)) {
+      throw new ValidationError(`Invalid ${key} ID`);
+    }
+    query[key] = value;
+  }
+
+  const total = await Inquiry.countDocuments(query);
+  const inquiries = await Inquiry.find(query)
+    .sort({ lastMessageAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate('property', 'title location')
+    .populate('buyer', 'name email')
+    .populate('agent', 'name email');
+
+  res.json({ total, page: +page, pages: Math.ceil(total / +limit), inquiries });
+});
+
+router.get('/inquiries/:id', protect, admin, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError('Invalid inquiry ID', { code: 'INVALID_ID' });
+  }
+
+  // Admin reads never touch the participants' unread counters
+  const inquiry = await Inquiry.findById(req.params.id)
+    .populate('property', 'title location')
+    .populate('buyer', 'name email')
+    .populate('agent', 'name email');
+  if (!inquiry) throw new NotFoundError('Inquiry not found');
+
+  const messages = await Message.find({ inquiry: inquiry._id })
+    .sort({ createdAt: 1 })
+    .populate('sender', 'name email');
+
+  res.json({ inquiry, messages });
+});
+
+router.get('/reviews', protect, admin, async (req, res) => {
+  const { status, agent, buyer, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) query.status = String(status);
+  for (const [key, value] of Object.entries({ agent, buyer })) {
+    if (!value) continue;
+    if (!mongoose.isValidObjectId(value)) {
+      throw new ValidationError(`Invalid ${key} ID`);
+    }
+    query[key] = value;
+  }
+
+  const total = await Review.countDocuments(query);
+  const reviews = await Review.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate('agent', 'name email')
+    .populate('buyer', 'name email')
+    .populate('property', 'title');
+
+  res.json({ total, page: +page, pages: Math.ceil(total / +limit), reviews });
+});
+
+const findReview = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError('Invalid review ID', { code: 'INVALID_ID' });
+  }
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+  return review;
+};
+
+// Takedowns keep the review for the record but drop it from the agent's rating
+router.patch('/reviews/:id/hide', protect, admin, async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+  if (!reason) throw new ValidationError('A reason is required');
+
+  const review = await findReview(req);
+
+  review.status = 'hidden';
+  review.moderation = { hiddenAt: Date.now(), hiddenBy: req.user._id, reason };
+  await review.save();
+  await Review.refreshAgentRating(review.agent);
+  await cache.invalidateListings();
+  await audit(req, {
+    action: 'admin.review_hidden',
+    target: { type: 'review', id: review._id },
+    metadata: { reason, agent: review.agent, buyer: review.buyer },
+  });
+
+  notify({
+    user: review.buyer,
+    type: 'review.hidden',
+    title: 'Your review was removed by a moderator',
+    message: reason,
+    data: { review: review._id, agent: review.agent },
+  }).catch((error) => logger.error(error));
+
+  res.json(review);
+});
+
+router.patch('/reviews/:id/restore', protect, admin, async (req, res) => {
+  const review = await findReview(req);
+
+  review.status = 'published';
+  review.moderation = undefined;
+  await review.save();
+  await Review.refreshAgentRating(review.agent);
+  await cache.invalidateListings();
+  await audit(req, {
+    action: 'admin.review_restored',
+    target: { type: 'review', id: review._id },
+  });
+
+  res.json(review);
+});
+
+router.delete('/reviews/:id', protect, admin, async (req, res) => {
+  const review = await findReview(req);
+
+  await review.deleteOne();
+  await Review.refreshAgentRating(review.agent);
+  await cache.invalidateListings();
+  await audit(req, {
+    action: 'admin.review_deleted',
+    target: { type: 'review', id: review._id },
+    metadata: { agent: review.agent, buyer: review.buyer, rating: review.rating },
+  });
+
+  res.json({ message: 'Review deleted' });
+});
+
+// Platform-wide market metrics. Every endpoint accepts ?from=&to=&location=&type=
+const analyticsFilters = (req) => {
+  const { from, to, location, type } = req.query;
+  for (const value of [from, to]) {
+    if (value && Number.isNaN(new Date(value).getTime())) return null;
+  }
+  return { from, to, location, type };
+};
+
+router.get('/analytics/overview', protect, admin, async (req, res) => {
+  const filters = analyticsFilters(req);
+  if (!filters) throw new ValidationError('Invalid date range');
+
+  const [newListings, pricesByLocation, pricesByType, funnel, daysOnMarket, topAgents] =
+    await Promise.all([
+      analytics.newListings(filters, req.query.interval),
+      analytics.priceStats(filters, 'location'),
+      analytics.priceStats(filters, 'type'),
+      analytics.statusFunnel(filters),
+      analytics.daysOnMarket(filters),
+      analytics.topAgents(filters, 'listings', 10),
+    ]);
+
+  res.json({ filters, newListings, pricesByLocation, pricesByType, funnel, daysOnMarket, topAgents });
+});
+
+router.get('/analytics/new-listings', protect, admin, async (req, res) => {
+  const filters = analyticsFilters(req);
+  if (!filters) throw new ValidationError('Invalid date range');
+  const { interval = 'day' } = req.query;
+  if (!analytics.INTERVAL_FORMATS[interval]) {
+    throw new ValidationError('Interval must be day, week or month');
+  }
+
+  res.json({ interval, series: await analytics.newListings(filters, interval) });
+});
+
+router.get('/analytics/prices', protect, admin, async (req, res) => {
+  const filters = analyticsFilters(req);
+  if (!filters) throw new ValidationError('Invalid date range');
+  const { groupBy = 'location' } = req.query;
+  if (!['location', 'type'].includes(groupBy)) {
+    throw new ValidationError('groupBy must be location or type');
+  }
+
+  res.json({ groupBy, groups: await analytics.priceStats(filters, groupBy) });
+});
+
+router.get('/analytics/funnel', protect, admin, async (req, res) => {
+  const filters = analyticsFilters(req);
+  if (!filters) throw new ValidationError('Invalid date range');
+
+  res.json(await analytics.statusFunnel(filters));
+});
+
+router.get('/analytics/days-on-market', protect, admin, async (req, res) => {
+  const filters = analyticsFilters(req);
+  if (!filters) throw new ValidationError('Invalid date range');
+
+  res.json(await analytics.daysOnMarket(filters));
+});
+
+router.get('/analytics/top-agents', protect, admin, async (req, res) => {
+  const filters = analyticsFilters(req);
+  if (!filters) throw new ValidationError('Invalid date range');
+  const { by = 'listings', limit = 10 } = req.query;
+
+  const agents = await analytics.topAgents(
+    filters,
+    by === 'views' ? 'views' : 'listings',
+    Math.min(Math.max(+limit || 10, 1), 100)
+  );
+  res.json({ by, agents });
+});
+
+// Builds the audit query from ?action=&actor=&targetType=&targetId=&outcome=&ip=&from=&to=
+const buildAuditQuery = (params) => {
+  const { action, actor, targetType, targetId, outcome, ip, from, to } = params;
+  const query = {};
+  // "auth" matches every auth.* action; a full name matches exactly
+  if (action) {
+    query.action = String(action).includes('.')
+      ? String(action)
+      : new RegExp(`^${escapeRegex(String(action))}\\.`);
+  }
+  if (actor && mongoose.isValidObjectId(actor)) query.actor = actor;
+  if (targetType) query['target.type'] = String(targetType);
+  if (targetId && mongoose.isValidObjectId(targetId)) query['target.id'] = targetId;
+  if (outcome) query.outcome = String(outcome);
+  if (ip) query.ip = String(ip);
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  return query;
+};
+
+router.get('/audit', protect, admin, async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  const query = buildAuditQuery(req.query);
+  const total = await AuditLog.countDocuments(query);
+  const entries = await AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate('actor', 'name email');
+
+  res.json({ total, page: +page, pages: Math.ceil(total / +limit), entries });
+});
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'outcome',
+  'actor',
+  'actorRole',
+  'targetType',
+  'targetId',
+  'ip',
+  'userAgent',
+  'changes',
+  'metadata',
+];
+
+// Streams matching entries as CSV or NDJSON (?format=csv|ndjson) for compliance requests
+router.get('/audit/export', protect, admin, async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'ndjson';
+
+  const query = buildAuditQuery(req.query);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`audit-${stamp}.${format}`);
+  res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+  if (format === 'csv') res.write(toCsvRow(AUDIT_CSV_COLUMNS));
+
+  await audit(req, { action: 'admin.audit_exported', metadata: { format, query: req.query } });
+
+  const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (format === 'csv') {
+      res.write(
+        toCsvRow([
+          entry.createdAt.toISOString(),
+          entry.action,
+          entry.outcome,
+          entry.actor,
+          entry.actorRole,
+          entry.target && entry.target.type,
+          entry.target && entry.target.id,
+          entry.ip,
+          entry.userAgent,
+          entry.changes && entry.changes.length ? entry.changes : null,
+          entry.metadata,
+        ])
+      );
+    } else {
+      res.write(JSON.stringify(entry) + '\n');
+    }
   }
+  res.end();
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,416 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const sanitize = require("mongo-sanitize");
+const Agency = require("../models/Agency");
+const AgencyInvitation = require("../models/AgencyInvitation");
+const User = require("../models/User");
+const Property = require("../models/Property");
+const { protect, optionalAuth, agent, verified } = require("../middleware/auth");
+const { validateAgency, validateAgencyMember } = require("../middleware/validateAgency");
+const { canManageAgency, listingCounts } = require("../services/agencies");
+const { audit } = require("../services/auditLog");
+const { notify } = require("../services/notifier");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const { escapeRegex } = require("../utils/regex");
+const { logger } = require("../config/logger");
+
+const AGENCY_FIELDS = ["name", "description", "licenseNumber", "email", "phone", "website", "address"];
+
+// Loads an agency, or throws
+const findAgency = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid agency ID", { code: "INVALID_ID" });
+  }
+  const agency = await Agency.findById(req.params.id);
+  if (!agency) {
+    throw new NotFoundError("Agency not found");
+  }
+  return agency;
+};
+
+// Like findAgency, but only for agency admins and site admins
+const findManagedAgency = async (req) => {
+  const agency = await findAgency(req);
+  if (!canManageAgency(req.user, agency._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+  return agency;
+};
+
+// An agency must keep at least one admin while it has other members
+const wouldLoseLastAdmin = async (agencyId, member) => {
+  if (member.agencyRole !== "admin") return false;
+  const [admins, members] = await Promise.all([
+    User.countDocuments({ agency: agencyId, agencyRole: "admin" }),
+    User.countDocuments({ agency: agencyId }),
+  ]);
+  return admins === 1 && members > 1;
+};
+
+router.get("/", async (req, res) => {
+  const { search, page = 1, limit = 20 } = req.query;
+
+  const query = search ? { name: { $regex: escapeRegex(String(search)), $options: "i" } } : {};
+  const total = await Agency.countDocuments(query);
+  const agencies = await Agency.find(query)
+    .sort({ name: 1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .lean();
+
+  const counts = await User.aggregate([
+    { $match: { agency: { $in: agencies.map((a) => a._id) }, status: "active" } },
+    { $group: { _id: "$agency", count: { $sum: 1 } } },
+  ]);
+  for (const agency of agencies) {
+    const row = counts.find((c) => c._id.equals(agency._id));
+    agency.agentCount = row ? row.count : 0;
+  }
+
+  res.json({
+    success: true,
+    count: agencies.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    agencies,
+  });
+});
+
+// Loads one of the current user's pending invitations, or throws
+const findOwnInvitation = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.invitationId)) {
+    throw new ValidationError("Invalid invitation ID", { code: "INVALID_ID" });
+  }
+  const invitation = await AgencyInvitation.findOne({
+    _id: req.params.invitationId,
+    user: req.user._id,
+    status: "pending",
+  });
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found");
+  }
+  return invitation;
+};
+
+// Declared before /:id so "invitations" is not read as an agency ID
+router.get("/invitations", protect, agent, async (req, res) => {
+  const invitations = await AgencyInvitation.find({ user: req.user._id, status: "pending" })
+    .sort({ createdAt: -1 })
+    .populate("agency", "name website")
+    .populate("invitedBy", "name");
+
+  res.json({ success: true, count: invitations.length, invitations });
+});
+
+router.post("/invitations/:invitationId/accept", protect, agent, async (req, res) => {
+  const invitation = await findOwnInvitation(req);
+  if (req.user.agency) {
+    throw new ValidationError("Leave your current agency first");
+  }
+  const agency = await Agency.findById(invitation.agency);
+  if (!agency) {
+    throw new NotFoundError("Agency not found");
+  }
+
+  // Only joins if the agent is still agency-less at this moment
+  const joined = await User.findOneAndUpdate(
+    { _id: req.user._id, agency: null },
+    { agency: agency._id, agencyRole: invitation.role, agencyJoinedAt: Date.now() },
+    { new: true }
+  );
+  if (!joined) {
+    throw new ConflictError("You already belong to an agency");
+  }
+  invitation.status = "accepted";
+  invitation.respondedAt = Date.now();
+  await invitation.save();
+  await audit(req, {
+    action: "agency.member_joined",
+    target: { type: "agency", id: agency._id },
+    metadata: { member: joined._id, invitation: invitation._id, role: invitation.role },
+  });
+
+  notify({
+    user: invitation.invitedBy,
+    type: "agency.joined",
+    title: `${joined.name} joined ${agency.name}`,
+    data: { agency: agency._id, member: joined._id },
+  }).catch((err) => logger.error("Error notifying agency admin:", err));
+
+  res.json({
+    success: true,
+    member: { _id: joined._id, name: joined.name, agencyRole: joined.agencyRole },
+    agency: { _id: agency._id, name: agency.name },
+  });
+});
+
+router.post("/invitations/:invitationId/decline", protect, agent, async (req, res) => {
+  const invitation = await findOwnInvitation(req);
+
+  invitation.status = "declined";
+  invitation.respondedAt = Date.now();
+  await invitation.save();
+
+  res.json({ success: true, invitation });
+});
+
+router.get("/:id", async (req, res) => {
+  const agency = await findAgency(req);
+
+  const agents = await User.find({ agency: agency._id, status: "active" })
+    .sort({ agencyRole: 1, name: 1 })
+    .select("name avatar.url profile agencyRole rating");
+
+  res.json({
+    success: true,
+    agency: {
+      ...agency.toObject(),
+      agents,
+      listings: await listingCounts(agents.map((a) => a._id)),
+    },
+  });
+});
+
+// Any agent outside an agency can found one and becomes its first admin
+router.post("/", protect, agent, verified, validateAgency, async (req, res) => {
+  if (req.user.agency) {
+    throw new ValidationError("Leave your current agency first");
+  }
+
+  const agency = await Agency.create({
+    ...AGENCY_FIELDS.reduce((acc, field) => ({ ...acc, [field]: req.body[field] }), {}),
+    createdBy: req.user._id,
+  });
+  await User.updateOne(
+    { _id: req.user._id },
+    { agency: agency._id, agencyRole: "admin", agencyJoinedAt: Date.now() }
+  );
+  await audit(req, {
+    action: "agency.created",
+    target: { type: "agency", id: agency._id },
+    metadata: { name: agency.name },
+  });
+
+  res.status(201).json({ success: true, agency });
+});
+
+router.put("/:id", protect, validateAgency, async (req, res) => {
+  const agency = await findManagedAgency(req);
+
+  for (const field of AGENCY_FIELDS) {
+    if (req.body[field] !== undefined) agency[field] = req.body[field];
+  }
+  await agency.save();
+  await audit(req, {
+    action: "agency.updated",
+    target: { type: "agency", id: agency._id },
+  });
+
+  res.json({ success: true, agency });
+});
+
+// Members keep their accounts and listings; they simply leave the agency
+router.delete("/:id", protect, async (req, res) => {
+  const agency = await findManagedAgency(req);
+
+  await User.updateMany(
+    { agency: agency._id },
+    { $unset: { agency: "", agencyRole: "", agencyJoinedAt: "" } }
+  );
+  await AgencyInvitation.deleteMany({ agency: agency._id });
+  await agency.deleteOne();
+  await audit(req, {
+    action: "agency.deleted",
+    target: { type: "agency", id: agency._id },
+    metadata: { name: agency.name },
+  });
+
+  res.json({ success: true, message: "Agency deleted" });
+});
+
+// Listings of the agency's agents; managers also see unpublished ones
+router.get("/:id/listings", optionalAuth, async (req, res) => {
+  const { status, publicationStatus, page = 1, limit = 10 } = req.query;
+
+  const agency = await findAgency(req);
+
+  const isManager = Boolean(req.user) && canManageAgency(req.user, agency._id);
+  const agentIds = await User.find({ agency: agency._id }).distinct("_id");
+  const query = { agent: { $in: agentIds } };
+  if (status) query.status = sanitize(status);
+  if (isManager && publicationStatus) query.publicationStatus = sanitize(publicationStatus);
+  if (!isManager) Object.assign(query, Property.PUBLIC_FILTER);
+
+  const total = await Property.countDocuments(query);
+  const properties = await Property.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate("agent", User.AGENT_SUMMARY_FIELDS);
+
+  res.json({
+    success: true,
+    count: properties.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    properties,
+  });
+});
+
+// Agents join only by accepting; inviting grants no access to their listings
+router.post("/:id/members", protect, validateAgencyMember, async (req, res) => {
+  const agency = await findManagedAgency(req);
+
+  const { email, userId, role = "member" } = req.body;
+  const invitee = await User.findOne(userId ? { _id: userId } : { email: String(email) });
+  if (!invitee || invitee.role !== "agent" || invitee.status !== "active") {
+    throw new NotFoundError("Agent not found");
+  }
+  if (invitee.agency) {
+    throw new ConflictError(
+      invitee.agency.equals(agency._id)
+        ? "Agent is already a member"
+        : "Agent belongs to another agency"
+    );
+  }
+
+  let invitation;
+  try {
+    invitation = await AgencyInvitation.create({
+      agency: agency._id,
+      user: invitee._id,
+      role,
+      invitedBy: req.user._id,
+    });
+  } catch (err) {
+    if (err.code === 11000) throw new ConflictError("Agent already has a pending invitation");
+    throw err;
+  }
+  await audit(req, {
+    action: "agency.member_invited",
+    target: { type: "agency", id: agency._id },
+    metadata: { invitee: invitee._id, invitation: invitation._id, role },
+  });
+
+  notify({
+    user: invitee._id,
+    type: "agency.invited",
+    title: `${agency.name} invited you to join`,
+    message: role === "admin" ? "You would be able to manage the agency's listings" : "",
+    data: { agency: agency._id, invitation: invitation._id },
+  }).catch((err) => logger.error("Error notifying invited agent:", err));
+
+  res.status(201).json({ success: true, invitation });
+});
+
+router.get("/:id/invitations", protect, async (req, res) => {
+  const agency = await findManagedAgency(req);
+
+  const invitations = await AgencyInvitation.find({ agency: agency._id, status: "pending" })
+    .sort({ createdAt: -1 })
+    .populate("user", "name email")
+    .populate("invitedBy", "name");
+
+  res.json({ success: true, count: invitations.length, invitations });
+});
+
+router.delete("/:id/invitations/:invitationId", protect, async (req, res) => {
+  const agency = await findManagedAgency(req);
+  if (!mongoose.isValidObjectId(req.params.invitationId)) {
+    throw new ValidationError("Invalid invitation ID", { code: "INVALID_ID" });
+  }
+
+  const invitation = await AgencyInvitation.findOneAndUpdate(
+    { _id: req.params.invitationId, agency: agency._id, status: "pending" },
+    { status: "revoked", respondedAt: Date.now() },
+    { new: true }
+  );
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found");
+  }
+  await audit(req, {
+    action: "agency.invitation_revoked",
+    target: { type: "agency", id: agency._id },
+    metadata: { invitee: invitation.user, invitation: invitation._id },
+  });
+
+  res.json({ success: true, invitation });
+});
+
+// Loads a member of the agency named in the URL, or throws
+const findMember = async (req, agency) => {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    throw new ValidationError("Invalid user ID", { code: "INVALID_ID" });
+  }
+  const member = await User.findOne({ _id: req.params.userId, agency: agency._id });
+  if (!member) {
+    throw new NotFoundError("Member not found");
+  }
+  return member;
+};
+
+router.patch("/:id/members/:userId", protect, async (req, res) => {
+  const { role } = req.body;
+  if (!["member", "admin"].includes(role)) {
+    throw new ValidationError("Role must be member or admin");
+  }
+
+  const agency = await findManagedAgency(req);
+  const member = await findMember(req, agency);
+
+  if (role === "member" && (await wouldLoseLastAdmin(agency._id, member))) {
+    throw new ValidationError("Promote another admin first");
+  }
+
+  const previousRole = member.agencyRole;
+  member.agencyRole = role;
+  await member.save();
+  await audit(req, {
+    action: "agency.member_role_changed",
+    target: { type: "agency", id: agency._id },
+    changes: [{ field: "agencyRole", before: previousRole, after: role }],
+    metadata: { member: member._id },
+  });
+
+  res.json({
+    success: true,
+    member: { _id: member._id, name: member.name, agencyRole: member.agencyRole },
+  });
+});
+
+// Agency admins remove members; any member may leave on their own
+router.delete("/:id/members/:userId", protect, async (req, res) => {
+  const agency = await findAgency(req);
+
+  const isSelf = req.params.userId === req.user._id.toString();
+  if (!isSelf && !canManageAgency(req.user, agency._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+  const member = await findMember(req, agency);
+
+  if (await wouldLoseLastAdmin(agency._id, member)) {
+    throw new ValidationError("Promote another admin first");
+  }
+
+  member.agency = undefined;
+  member.agencyRole = undefined;
+  member.agencyJoinedAt = undefined;
+  await member.save();
+  await audit(req, {
+    action: isSelf ? "agency.member_left" : "agency.member_removed",
+    target: { type: "agency", id: agency._id },
+    metadata: { member: member._id },
+  });
+
+  res.json({ success: true, message: "Member removed" });
+});
+
+module.exports = router;
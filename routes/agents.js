@@ -0,0 +1,305 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const User = require("../models/User");
+const Property = require("../models/Property");
+const Inquiry = require("../models/Inquiry");
+const Appointment = require("../models/Appointment");
+const { protect, agent, verified } = require("../middleware/auth");
+const { validateReview, validateReply } = require("../middleware/validateReview");
+const { validateAgentProfile } = require("../middleware/validateAgency");
+const { listingCounts } = require("../services/agencies");
+const { notify } = require("../services/notifier");
+const cache = require("../services/cache");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const { escapeRegex } = require("../utils/regex");
+const { logger } = require("../config/logger");
+
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+// Ratings changed, so cached listings carrying the agent summary are stale
+const refreshRating = async (agentId) => {
+  const rating = await Review.refreshAgentRating(agentId);
+  await cache.invalidateListings();
+  return rating;
+};
+
+// Buyers may only review agents they have dealt with (on `propertyId`, if given)
+const hasDealtWith = async (buyerId, agentId, propertyId) => {
+  const filter = { buyer: buyerId, agent: agentId, ...(propertyId ? { property: propertyId } : {}) };
+  return Boolean(
+    (await Inquiry.exists(filter)) ||
+      (await Appointment.exists({ ...filter, status: "confirmed" }))
+  );
+};
+
+// Loads an agent or admin account, or throws
+const findAgent = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid agent ID", { code: "INVALID_ID" });
+  }
+  const user = await User.findById(req.params.id).select("name role rating");
+  if (!user || !["agent", "admin"].includes(user.role)) {
+    throw new NotFoundError("Agent not found");
+  }
+  return user;
+};
+
+// Loads one of the agent's reviews, or throws
+const findReview = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.reviewId)) {
+    throw new ValidationError("Invalid review ID", { code: "INVALID_ID" });
+  }
+  const review = await Review.findOne({ _id: req.params.reviewId, agent: req.params.id });
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+  return review;
+};
+
+// Unauthenticated directory fields; phone numbers stay private
+const PUBLIC_AGENT_FIELDS = "name email avatar.url profile agency agencyRole rating createdAt";
+
+// Public agent directory
+router.get("/", async (req, res) => {
+  const { search, area, agency, page = 1, limit = 20, sort = "rating" } = req.query;
+
+  const query = { role: "agent", status: "active" };
+  if (search) query.name = { $regex: escapeRegex(String(search)), $options: "i" };
+  if (area) query["profile.serviceAreas"] = { $regex: escapeRegex(String(area)), $options: "i" };
+  if (agency) {
+    if (!mongoose.isValidObjectId(agency)) {
+      throw new ValidationError("Invalid agency ID", { code: "INVALID_ID" });
+    }
+    query.agency = agency;
+  }
+
+  const total = await User.countDocuments(query);
+  const agents = await User.find(query)
+    .sort(sort === "name" ? { name: 1 } : { "rating.average": -1, "rating.count": -1, name: 1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .select(PUBLIC_AGENT_FIELDS)
+    .populate("agency", "name");
+
+  res.json({
+    success: true,
+    count: agents.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    agents,
+  });
+});
+
+router.put("/profile", protect, agent, validateAgentProfile, async (req, res) => {
+  const { bio, licenseNumber, serviceAreas } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (bio !== undefined) user.profile.bio = bio;
+  if (licenseNumber !== undefined) user.profile.licenseNumber = licenseNumber;
+  if (serviceAreas !== undefined) user.profile.serviceAreas = serviceAreas;
+  await user.save();
+
+  res.json({ success: true, profile: user.profile });
+});
+
+// Public profile with listing counts and the most recent sold/rented listings
+router.get("/:id", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid agent ID", { code: "INVALID_ID" });
+  }
+  const agentUser = await User.findOne({
+    _id: req.params.id,
+    role: "agent",
+    status: "active",
+  })
+    .select(PUBLIC_AGENT_FIELDS)
+    .populate("agency", "name website");
+  if (!agentUser) {
+    throw new NotFoundError("Agent not found");
+  }
+
+  const [listings, history] = await Promise.all([
+    listingCounts([agentUser._id]),
+    Property.find({
+      agent: agentUser._id,
+      status: { $in: ["sold", "rented"] },
+      ...Property.PUBLIC_FILTER,
+    })
+      .sort({ closedAt: -1, createdAt: -1 })
+      .limit(10)
+      .select("title location type price status closedAt images"),
+  ]);
+
+  res.json({
+    success: true,
+    agent: {
+      ...agentUser.toObject(),
+      activeListingCount: listings.active,
+      listings,
+      history,
+    },
+  });
+});
+
+router.get("/:id/reviews", async (req, res) => {
+  const { page = 1, limit = 10, sort = "recent" } = req.query;
+
+  const agentUser = await findAgent(req);
+
+  const query = { agent: agentUser._id, status: "published" };
+  const perPage = Math.min(Math.max(+limit || 10, 1), 50);
+  const [total, reviews, distribution] = await Promise.all([
+    Review.countDocuments(query),
+    Review.find(query)
+      .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.recent)
+      .skip((+page - 1) * perPage)
+      .limit(perPage)
+      .select("-moderation")
+      .populate("buyer", "name")
+      .populate("property", "title"),
+    Review.aggregate([
+      { $match: query },
+      { $group: { _id: "$rating", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  res.json({
+    success: true,
+    count: reviews.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / perPage),
+    rating: {
+      average: agentUser.rating.average,
+      count: agentUser.rating.count,
+      distribution: [1, 2, 3, 4, 5].reduce((acc, stars) => {
+        const bucket = distribution.find((d) => d._id === stars);
+        acc[stars] = bucket ? bucket.count : 0;
+        return acc;
+      }, {}),
+    },
+    reviews,
+  });
+});
+
+router.post("/:id/reviews", protect, verified, validateReview, async (req, res) => {
+  const agentUser = await findAgent(req);
+
+  if (agentUser._id.equals(req.user._id)) {
+    throw new ValidationError("You cannot review yourself");
+  }
+
+  const { rating, comment, property } = req.body;
+  if (property) {
+    const listing = await Property.exists({ _id: property, agent: agentUser._id });
+    if (!listing) {
+      throw new ValidationError("Property is not listed by this agent");
+    }
+  }
+  if (!(await hasDealtWith(req.user._id, agentUser._id, property))) {
+    throw new ForbiddenError("You can only review agents you have contacted or met");
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      agent: agentUser._id,
+      buyer: req.user._id,
+      property,
+      rating: Number(rating),
+      comment,
+    });
+  } catch (err) {
+    if (err.code === 11000) throw new ConflictError("You have already reviewed this agent");
+    throw err;
+  }
+  await refreshRating(agentUser._id);
+
+  notify({
+    user: agentUser._id,
+    type: "review.received",
+    title: `New ${review.rating}-star review`,
+    message: review.comment.slice(0, 140),
+    data: { review: review._id, property: review.property },
+  }).catch((err) => logger.error("Error notifying agent of review:", err));
+
+  res.status(201).json({ success: true, review });
+});
+
+// Buyers can revise their own review; the property it refers to is fixed
+router.put("/:id/reviews/:reviewId", protect, validateReview, async (req, res) => {
+  const review = await findReview(req);
+  if (!review.buyer.equals(req.user._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  review.rating = Number(req.body.rating);
+  review.comment = req.body.comment || "";
+  review.updatedAt = Date.now();
+  await review.save();
+  await refreshRating(review.agent);
+
+  res.json({ success: true, review });
+});
+
+router.delete("/:id/reviews/:reviewId", protect, async (req, res) => {
+  const review = await findReview(req);
+  if (!review.buyer.equals(req.user._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  await review.deleteOne();
+  await refreshRating(review.agent);
+
+  res.json({ success: true, message: "Review deleted" });
+});
+
+// The reviewed agent posts (or edits) one public reply
+router.put("/:id/reviews/:reviewId/reply", protect, agent, validateReply, async (req, res) => {
+  const review = await findReview(req);
+  if (!review.agent.equals(req.user._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  const isFirstReply = !review.reply || !review.reply.body;
+  review.reply = { body: req.body.body, repliedAt: Date.now() };
+  await review.save();
+
+  if (isFirstReply) {
+    notify({
+      user: review.buyer,
+      type: "review.replied",
+      title: "The agent replied to your review",
+      message: review.reply.body.slice(0, 140),
+      data: { review: review._id, agent: review.agent },
+    }).catch((err) => logger.error("Error notifying reviewer:", err));
+  }
+
+  res.json({ success: true, review });
+});
+
+router.delete("/:id/reviews/:reviewId/reply", protect, agent, async (req, res) => {
+  const review = await findReview(req);
+  if (!review.agent.equals(req.user._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  review.reply = undefined;
+  await review.save();
+
+  res.json({ success: true, review });
+});
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Appointment = require("../models/Appointment");
+const AgentAvailability = require("../models/AgentAvailability");
+const Property = require("../models/Property");
+const { protect, agent } = require("../middleware/auth");
+const {
+  validateAppointment,
+  validateReschedule,
+  validateAvailability,
+} = require("../middleware/validateAppointment");
+const {
+  isValidTimezone,
+  isWithinAvailability,
+  isBlackedOut,
+  slotsForDate,
+} = require("../utils/schedule");
+const { buildCalendar } = require("../utils/ical");
+const { notify } = require("../services/notifier");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const { logger } = require("../config/logger");
+
+const FEED_WINDOW_DAYS = 90;
+
+const populateAppointment = [
+  { path: "property", select: "title location status" },
+  { path: "agent", select: "name email" },
+  { path: "buyer", select: "name email" },
+];
+
+/**
+ * Checks a proposed slot against the agent's availability and existing
+ * bookings. Throws a ValidationError or ConflictError when not bookable.
+ */
+const checkSlot = async (agentId, start, end, excludeId) => {
+  if (start <= new Date()) {
+    throw new ValidationError("Appointments must be in the future");
+  }
+
+  const availability = await AgentAvailability.findOne({ agent: agentId });
+  if (!availability || !availability.weekly.length) {
+    throw new ValidationError("Agent has not published availability");
+  }
+  if (!isWithinAvailability(availability, start, end)) {
+    throw new ValidationError("Requested time is outside the agent's availability");
+  }
+  if (isBlackedOut(availability, start, end)) {
+    throw new ValidationError("Agent is unavailable on the requested date");
+  }
+
+  const conflict = await Appointment.findConflict(agentId, start, end, excludeId);
+  if (conflict) {
+    throw new ConflictError("Agent already has a booking at that time");
+  }
+};
+
+/**
+ * Guards against two requests passing checkSlot at the same moment: if an
+ * older overlapping booking exists after saving, the newer one backs out.
+ */
+const lostRace = async (appointment) =>
+  Appointment.exists({
+    _id: { $lt: appointment._id },
+    agent: appointment.agent,
+    status: { $in: Appointment.BLOCKING_STATUSES },
+    start: { $lt: appointment.end },
+    end: { $gt: appointment.start },
+  });
+
+// Loads an appointment the current user takes part in, or throws
+const findOwnAppointment = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid appointment ID", { code: "INVALID_ID" });
+  }
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    throw new NotFoundError("Appointment not found");
+  }
+  const me = req.user._id.toString();
+  const allowed =
+    appointment.agent.toString() === me ||
+    appointment.buyer.toString() === me ||
+    req.user.role === "admin";
+  if (!allowed) {
+    throw new ForbiddenError("Not authorized");
+  }
+  return appointment;
+};
+
+const isAgentOf = (req, appointment) =>
+  appointment.agent.toString() === req.user._id.toString() || req.user.role === "admin";
+
+router.get("/availability/:agentId", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.agentId)) {
+    throw new ValidationError("Invalid agent ID", { code: "INVALID_ID" });
+  }
+
+  const availability = await AgentAvailability.findOne({ agent: req.params.agentId }).select(
+    "-feedToken"
+  );
+  if (!availability) {
+    throw new NotFoundError("Availability not found");
+  }
+
+  res.json({ success: true, availability });
+});
+
+router.put("/availability", protect, agent, validateAvailability, async (req, res) => {
+  const { timezone, slotMinutes, weekly, blackouts } = req.body;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new ValidationError("Invalid timezone");
+  }
+  const badWindow = (weekly || []).find((w) => w.start >= w.end);
+  if (badWindow) {
+    throw new ValidationError("Availability windows must end after they start");
+  }
+
+  const update = { updatedAt: Date.now() };
+  if (timezone) update.timezone = timezone;
+  if (slotMinutes) update.slotMinutes = Number(slotMinutes);
+  if (weekly) update.weekly = weekly;
+  if (blackouts) update.blackouts = blackouts;
+
+  const availability = await AgentAvailability.findOneAndUpdate(
+    { agent: req.user._id },
+    { $set: update, $setOnInsert: { agent: req.user._id } },
+    { upsert: true, new: true, runValidators: true }
+  ).select("-feedToken");
+
+  res.json({ success: true, availability });
+});
+
+router.get("/slots", async (req, res) => {
+  const { propertyId, date } = req.query;
+
+  if (!mongoose.isValidObjectId(propertyId)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    throw new ValidationError("Date must be YYYY-MM-DD");
+  }
+
+  const property = await Property.findById(propertyId);
+  if (!property || !property.isPublished()) {
+    throw new NotFoundError("Property not found");
+  }
+
+  const availability = await AgentAvailability.findOne({ agent: property.agent });
+  if (!availability) {
+    return res.json({ success: true, count: 0, slots: [] });
+  }
+
+  const candidates = slotsForDate(availability, date).filter((s) => s.start > new Date());
+  const booked = candidates.length
+    ? await Appointment.find({
+        agent: property.agent,
+        status: { $in: Appointment.BLOCKING_STATUSES },
+        start: { $lt: candidates[candidates.length - 1].end },
+        end: { $gt: candidates[0].start },
+      })
+    : [];
+  const slots = candidates.filter(
+    (s) => !booked.some((b) => b.start < s.end && b.end > s.start)
+  );
+
+  res.json({ success: true, timezone: availability.timezone, count: slots.length, slots });
+});
+
+// Returns (and optionally rotates) the agent's private calendar feed URL
+router.get("/calendar", protect, agent, async (req, res) => {
+  let availability = await AgentAvailability.findOne({ agent: req.user._id });
+  if (!availability) availability = new AgentAvailability({ agent: req.user._id });
+
+  if (!availability.feedToken || req.query.regenerate === "true") {
+    availability.feedToken = crypto.randomBytes(24).toString("hex");
+    await availability.save();
+  }
+
+  res.json({
+    success: true,
+    feedUrl: `${req.protocol}://${req.get("host")}${req.baseUrl}/calendar/${availability.feedToken}.ics`,
+  });
+});
+
+// Token-authenticated so calendar apps can subscribe without a bearer header
+router.get("/calendar/:token.ics", async (req, res) => {
+  const availability = await AgentAvailability.findOne({ feedToken: req.params.token });
+  if (!availability) {
+    throw new NotFoundError("Calendar not found");
+  }
+
+  const since = new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const appointments = await Appointment.find({
+    agent: availability.agent,
+    status: { $in: Appointment.BLOCKING_STATUSES },
+    start: { $gte: since },
+  })
+    .sort({ start: 1 })
+    .populate(populateAppointment);
+
+  res.type("text/calendar; charset=utf-8").send(buildCalendar(appointments));
+});
+
+router.post("/", protect, validateAppointment, async (req, res) => {
+  const { propertyId, start, mode, notes } = req.body;
+
+  const property = await Property.findById(propertyId);
+  if (!property || !property.isPublished()) {
+    throw new NotFoundError("Property not found");
+  }
+  if (property.status !== "active") {
+    throw new ValidationError("Viewings can only be booked on active listings");
+  }
+  if (property.agent.toString() === req.user._id.toString()) {
+    throw new ValidationError("You cannot book a viewing of your own listing");
+  }
+
+  const availability = await AgentAvailability.findOne({ agent: property.agent });
+  const startAt = new Date(start);
+  const endAt = new Date(startAt.getTime() + (availability ? availability.slotMinutes : 30) * 60 * 1000);
+
+  await checkSlot(property.agent, startAt, endAt);
+
+  const appointment = await Appointment.create({
+    property: property._id,
+    agent: property.agent,
+    buyer: req.user._id,
+    start: startAt,
+    end: endAt,
+    mode,
+    notes,
+  });
+
+  if (await lostRace(appointment)) {
+    await appointment.deleteOne();
+    throw new ConflictError("Agent already has a booking at that time");
+  }
+
+  notify({
+    user: property.agent,
+    type: "appointment.requested",
+    title: "New viewing request",
+    message: `${property.title} on ${startAt.toISOString()}`,
+    data: { appointment: appointment._id, property: property._id },
+  }).catch((err) => logger.error("Error notifying agent:", err));
+
+  await appointment.populate(populateAppointment);
+  res.status(201).json({ success: true, appointment });
+});
+
+router.get("/", protect, async (req, res) => {
+  const { status, property, from, to, page = 1, limit = 10 } = req.query;
+  const me = req.user._id;
+
+  const query = { $or: [{ agent: me }, { buyer: me }] };
+  if (status) query.status = String(status);
+  if (property) {
+    if (!mongoose.isValidObjectId(property)) {
+      throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+    }
+    query.property = property;
+  }
+  if (from || to) {
+    query.start = {};
+    if (from) query.start.$gte = new Date(from);
+    if (to) query.start.$lte = new Date(to);
+  }
+
+  const total = await Appointment.countDocuments(query);
+  const appointments = await Appointment.find(query)
+    .sort({ start: 1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate(populateAppointment);
+
+  res.json({
+    success: true,
+    count: appointments.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    appointments,
+  });
+});
+
+router.get("/:id", protect, async (req, res) => {
+  const appointment = await findOwnAppointment(req);
+
+  await appointment.populate(populateAppointment);
+  res.json({ success: true, appointment });
+});
+
+router.get("/:id/ics", protect, async (req, res) => {
+  const appointment = await findOwnAppointment(req);
+
+  await appointment.populate(populateAppointment);
+  res
+    .type("text/calendar; charset=utf-8")
+    .attachment(`viewing-${appointment._id}.ics`)
+    .send(buildCalendar([appointment]));
+});
+
+router.patch("/:id/confirm", protect, agent, async (req, res) => {
+  const appointment = await findOwnAppointment(req);
+  if (!isAgentOf(req, appointment)) {
+    throw new ForbiddenError("Not authorized");
+  }
+  if (appointment.status !== "requested") {
+    throw new ValidationError(`Cannot confirm a ${appointment.status} appointment`);
+  }
+
+  appointment.status = "confirmed";
+  if (req.body.meetingUrl) appointment.meetingUrl = req.body.meetingUrl;
+  appointment.updatedAt = Date.now();
+  await appointment.save();
+
+  notify({
+    user: appointment.buyer,
+    type: "appointment.confirmed",
+    title: "Your viewing is confirmed",
+    message: appointment.start.toISOString(),
+    data: { appointment: appointment._id, property: appointment.property },
+  }).catch((err) => logger.error("Error notifying buyer:", err));
+
+  res.json({ success: true, appointment });
+});
+
+router.patch("/:id/decline", protect, agent, async (req, res) => {
+  const appointment = await findOwnAppointment(req);
+  if (!isAgentOf(req, appointment)) {
+    throw new ForbiddenError("Not authorized");
+  }
+  if (!Appointment.BLOCKING_STATUSES.includes(appointment.status)) {
+    throw new ValidationError(`Cannot decline a ${appointment.status} appointment`);
+  }
+
+  appointment.status = "declined";
+  appointment.declineReason = req.body.reason;
+  appointment.updatedAt = Date.now();
+  await appointment.save();
+
+  notify({
+    user: appointment.buyer,
+    type: "appointment.declined",
+    title: "Your viewing request was declined",
+    message: req.body.reason || "",
+    data: { appointment: appointment._id, property: appointment.property },
+  }).catch((err) => logger.error("Error notifying buyer:", err));
+
+  res.json({ success: true, appointment });
+});
+
+router.patch("/:id/reschedule", protect, agent, validateReschedule, async (req, res) => {
+  const appointment = await findOwnAppointment(req);
+  if (!isAgentOf(req, appointment)) {
+    throw new ForbiddenError("Not authorized");
+  }
+  if (!Appointment.BLOCKING_STATUSES.includes(appointment.status)) {
+    throw new ValidationError(`Cannot reschedule a ${appointment.status} appointment`);
+  }
+
+  const duration = appointment.end - appointment.start;
+  const startAt = new Date(req.body.start);
+  const endAt = new Date(startAt.getTime() + duration);
+
+  await checkSlot(appointment.agent, startAt, endAt, appointment._id);
+
+  // Everything the reschedule touches, so losing the race can put it all back
+  const original = {
+    start: appointment.start,
+    end: appointment.end,
+    status: appointment.status,
+    rescheduledFrom: appointment.toObject().rescheduledFrom,
+    updatedAt: appointment.updatedAt,
+  };
+  appointment.rescheduledFrom = { start: appointment.start, end: appointment.end };
+  appointment.start = startAt;
+  appointment.end = endAt;
+  appointment.status = "confirmed";
+  appointment.updatedAt = Date.now();
+  await appointment.save();
+
+  if (await lostRace(appointment)) {
+    appointment.set(original);
+    await appointment.save();
+    throw new ConflictError("Agent already has a booking at that time");
+  }
+
+  notify({
+    user: appointment.buyer,
+    type: "appointment.rescheduled",
+    title: "Your viewing was rescheduled",
+    message: startAt.toISOString(),
+    data: { appointment: appointment._id, property: appointment.property },
+  }).catch((err) => logger.error("Error notifying buyer:", err));
+
+  res.json({ success: true, appointment });
+});
+
+router.patch("/:id/cancel", protect, async (req, res) => {
+  const appointment = await findOwnAppointment(req);
+  if (!Appointment.BLOCKING_STATUSES.includes(appointment.status)) {
+    throw new ValidationError(`Cannot cancel a ${appointment.status} appointment`);
+  }
+
+  appointment.status = "cancelled";
+  appointment.cancelledBy = req.user._id;
+  appointment.updatedAt = Date.now();
+  await appointment.save();
+
+  const other =
+    appointment.buyer.toString() === req.user._id.toString()
+      ? appointment.agent
+      : appointment.buyer;
+  notify({
+    user: other,
+    type: "appointment.cancelled",
+    title: "A viewing was cancelled",
+    message: appointment.start.toISOString(),
+    data: { appointment: appointment._id, property: appointment.property },
+  }).catch((err) => logger.error("Error notifying participant:", err));
+
+  res.json({ success: true, appointment });
+});
+
+module.exports = router;
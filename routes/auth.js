@@ -1,150 +1,319 @@
 const express = require('express');
 const router = express.Router();
-const cloudinary = require('cloudinary').v2;
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const { protect } = require('../middleware/auth');
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const {
+  REFRESH_COOKIE,
+  signAccessToken,
+  startSession,
+  rotateRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  revokeToken,
+  revokeAllForUser,
+} = require('../utils/tokens');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  consumeToken,
+} = require('../services/accountEmails');
+const { validatePasswordChange, validatePasswordReset } = require('../middleware/validateAuth');
+const { audit } = require('../services/auditLog');
+const { uploadAvatar } = require('../services/media');
+const { emitEvent } = require('../services/webhooks');
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require('../utils/errors');
+const { logger } = require('../config/logger');
 
 router.post('/register', async (req, res) => {
   const { name, email, password, phone, role, avatar } = req.body;
 
-  try {
-    const userExists = await User.findOne({ email });
-    if (userExists) return res.status(400).json({ message: 'User already exists' });
-
-    if (!avatar) return res.status(400).json({ message: 'Please provide an avatar image' });
+  const userExists = await User.findOne({ email });
+  if (userExists) throw new ConflictError('User already exists');
 
-    let uploadedAvatar;
-    try {
-      const result = await cloudinary.uploader.upload(avatar, {
-        folder: 'avatars',
-        width: 150,
-        crop: 'scale',
-      });
+  if (!avatar) throw new ValidationError('Please provide an avatar image');
 
-      uploadedAvatar = {
-        public_id: result.public_id,
-        url: result.secure_url,
-      };
-    } catch (error) {
-      return res.status(400).json({ message: 'Error uploading avatar' });
-    }
+  let uploadedAvatar;
+  try {
+    uploadedAvatar = await uploadAvatar(avatar);
+  } catch (error) {
+    throw new ValidationError('Error uploading avatar');
+  }
 
-    const user = await User.create({
-      name,
-      email,
-      password,
-      phone,
-      avatar: uploadedAvatar,
-      role: role === 'agent' ? 'agent' : 'buyer',
-    });
+  const user = await User.create({
+    name,
+    email,
+    password,
+    phone,
+    avatar: uploadedAvatar,
+    role: role === 'agent' ? 'agent' : 'buyer',
+  });
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  const token = await startSession(user, req, res);
+  await audit(req, {
+    action: 'auth.register',
+    actor: user,
+    target: { type: 'user', id: user._id },
+    metadata: { role: user.role },
+  });
 
-    res.status(201).json({
+  sendVerificationEmail(user).catch((error) => logger.error(error));
+  emitEvent('user.registered', {
+    user: {
       _id: user._id,
       name: user.name,
       email: user.email,
-      phone: user.phone,
       role: user.role,
-      avatar: user.avatar,
-      token,
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
+      createdAt: user.createdAt,
+    },
+  }).catch((error) => logger.error('Error emitting user.registered webhook:', error));
+
+  res.status(201).json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    avatar: user.avatar,
+    emailVerified: user.emailVerified,
+    token,
+  });
 });
 
 router.post('/login', async (req, res) => {
   const { email, password } = req.body;
-  try {
-    const user = await User.findOne({ email });
-    if (!user || !(await user.matchPassword(password))) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+  const user = await User.findOne({ email });
+  if (!user || !(await user.matchPassword(password))) {
+    await audit(req, {
+      action: 'auth.login_failed',
+      outcome: 'failure',
+      // Whoever tried is unknown; the account is only what they targeted
+      target: user ? { type: 'user', id: user._id } : undefined,
+      metadata: { email: String(email) },
+    });
+    throw new UnauthorizedError('Invalid credentials');
+  }
+  if (user.isSuspended()) {
+    await audit(req, {
+      action: 'auth.login_failed',
+      outcome: 'failure',
+      actor: user,
+      target: { type: 'user', id: user._id },
+      metadata: { reason: 'suspended' },
+    });
+    throw new ForbiddenError('Account suspended');
+  }
+
+  const token = await startSession(user, req, res);
+  await audit(req, { action: 'auth.login', actor: user, target: { type: 'user', id: user._id } });
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    avatar: user.avatar,
+    emailVerified: user.emailVerified,
+    token,
+  });
+});
+
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies[REFRESH_COOKIE];
+  if (!refreshToken) throw new UnauthorizedError('No refresh token provided');
+
+  const result = await rotateRefreshToken(refreshToken, req);
+  if (result.error) {
+    clearRefreshCookie(res);
+    if (result.reused) {
+      await audit(req, {
+        action: 'auth.refresh_token_reused',
+        outcome: 'failure',
+        target: { type: 'user', id: result.user },
+      });
     }
+    throw new UnauthorizedError(result.error);
+  }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  const user = await User.findById(result.userId);
+  if (!user) {
+    await revokeAllForUser(result.userId);
+    clearRefreshCookie(res);
+    throw new UnauthorizedError('User no longer exists');
+  }
+  if (user.isSuspended()) {
+    await revokeAllForUser(user._id);
+    clearRefreshCookie(res);
+    throw new ForbiddenError('Account suspended');
+  }
 
-    res.json({
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      phone: user.phone,
-      role: user.role,
-      avatar: user.avatar,
-      token,
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+  setRefreshCookie(res, result.refreshToken);
+  res.json({ token: signAccessToken(user) });
+});
+
+router.post('/logout', async (req, res) => {
+  const refreshToken = req.cookies[REFRESH_COOKIE];
+  if (refreshToken) await revokeToken(refreshToken);
+  clearRefreshCookie(res);
+  res.json({ message: 'Logged out' });
+});
+
+// Revokes every refresh token and invalidates outstanding access tokens
+router.post('/logout-all', protect, async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+  await revokeAllForUser(req.user._id);
+  clearRefreshCookie(res);
+  await audit(req, { action: 'auth.logout_all', target: { type: 'user', id: req.user._id } });
+  res.json({ message: 'Logged out of all devices' });
+});
+
+router.post('/verify-email/request', protect, async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new ValidationError('Email is already verified');
+  }
+  await sendVerificationEmail(req.user);
+  res.json({ message: 'Verification email sent' });
+});
+
+router.post('/verify-email/confirm', async (req, res) => {
+  const { token } = req.body;
+  if (!token) throw new ValidationError('Token is required');
+
+  const record = await consumeToken(token, 'email_verification');
+  if (!record) throw new ValidationError('Invalid or expired token');
+
+  const user = await User.findById(record.user);
+  // The token only verifies the address it was sent to
+  if (!user || user.email !== record.email) {
+    throw new ValidationError('Invalid or expired token');
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  res.json({ message: 'Email verified' });
+});
+
+router.post('/password-reset/request', async (req, res) => {
+  const { email } = req.body;
+  if (!email) throw new ValidationError('Email is required');
+
+  const user = await User.findOne({ email: String(email) });
+  // Not awaited, and the same answer either way, so neither the response nor
+  // its timing can be used to probe accounts
+  if (user) {
+    sendPasswordResetEmail(user).catch((error) =>
+      logger.error('Error sending password reset email:', error)
+    );
   }
+  res.json({ message: 'If that account exists, a reset email has been sent' });
+});
+
+router.post('/password-reset/confirm', validatePasswordReset, async (req, res) => {
+  const { token, password } = req.body;
+
+  const record = await consumeToken(token, 'password_reset');
+  if (!record) throw new ValidationError('Invalid or expired token');
+
+  const user = await User.findById(record.user);
+  if (!user) throw new ValidationError('Invalid or expired token');
+
+  // Resetting the password signs the user out everywhere
+  user.password = password;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+  await revokeAllForUser(user._id);
+  await audit(req, { action: 'auth.password_reset', actor: user, target: { type: 'user', id: user._id } });
+
+  res.json({ message: 'Password has been reset' });
+});
+
+router.put('/password', protect, validatePasswordChange, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (!user || !(await user.matchPassword(currentPassword))) {
+    throw new UnauthorizedError('Current password is incorrect');
+  }
+
+  // Other sessions are revoked; this one gets a fresh token pair
+  user.password = newPassword;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+  await revokeAllForUser(user._id);
+  const token = await startSession(user, req, res);
+  await audit(req, { action: 'auth.password_changed', target: { type: 'user', id: user._id } });
+
+  res.json({ message: 'Password updated', token });
 });
 
 router.get('/profile', protect, async (req, res) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({ message: 'Not authorized' });
-      }
-      res.json({
-        _id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        phone: req.user.phone,
-        role: req.user.role,
-        avatar: req.user.avatar,
-      });
-    } catch (error) {
-      console.error(error);
-      res.status(500).json({ message: 'Server error' });
-    }
+  if (!req.user) {
+    throw new UnauthorizedError('Not authorized');
+  }
+  res.json({
+    _id: req.user._id,
+    name: req.user.name,
+    email: req.user.email,
+    phone: req.user.phone,
+    role: req.user.role,
+    avatar: req.user.avatar,
+    emailVerified: req.user.emailVerified,
   });
-  
-  router.put('/profile', protect, async (req, res) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({ message: 'Not authorized' });
-      }
-  
-      const { name, email, phone } = req.body;
-      const user = await User.findById(req.user._id);
-  
-      if (!user) {
-        return res.status(404).json({ message: 'User not found' });
-      }
-  
-      // Check if email is already taken by another user
-      if (email && email !== user.email) {
-        const emailExists = await User.findOne({ email });
-        if (emailExists) {
-          return res.status(400).json({ message: 'Email already in use' });
-        }
-      }
-  
-      // Update fields
-      user.name = name || user.name;
-      user.email = email || user.email;
-      user.phone = phone || user.phone;
-  
-      await user.save();
-  
-      res.json({
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        role: user.role,
-        avatar: user.avatar,
-      });
-    } catch (error) {
-      console.error(error);
-      res.status(500).json({ message: 'Server error' });
+});
+
+router.put('/profile', protect, async (req, res) => {
+  if (!req.user) {
+    throw new UnauthorizedError('Not authorized');
+  }
+
+  const { name, email, phone } = req.body;
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  // Check if email is already taken by another user
+  if (email && email !== user.email) {
+    const emailExists = await User.findOne({ email });
+    if (emailExists) {
+      throw new ConflictError('Email already in use');
     }
+  }
+
+  // A new email address has to be verified again
+  const emailChanged = Boolean(email && email !== user.email);
+
+  // Update fields
+  user.name = name || user.name;
+  user.email = email || user.email;
+  user.phone = phone || user.phone;
+  if (emailChanged) {
+    user.emailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
+
+  await user.save();
+
+  if (emailChanged) sendVerificationEmail(user).catch((error) => logger.error(error));
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    avatar: user.avatar,
+    emailVerified: user.emailVerified,
   });
+});
 
 module.exports = router;
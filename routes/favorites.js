@@ -0,0 +1,89 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Favorite = require("../models/Favorite");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+router.get("/", protect, async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  // Count and page over public listings only, so hidden ones don't leave gaps
+  const favoritedIds = await Favorite.find({ user: req.user._id }).distinct("property");
+  const visibleIds = await Property.find({
+    _id: { $in: favoritedIds },
+    ...Property.PUBLIC_FILTER,
+  }).distinct("_id");
+
+  const query = { user: req.user._id, property: { $in: visibleIds } };
+  const total = await Favorite.countDocuments(query);
+  const favorites = await Favorite.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate({
+      path: "property",
+      match: Property.PUBLIC_FILTER,
+      populate: { path: "agent", select: User.AGENT_SUMMARY_FIELDS },
+    });
+
+  // A listing may still disappear between the queries above and the populate
+  const properties = favorites
+    .filter((f) => f.property)
+    .map((f) => ({
+      ...f.property.toObject(),
+      isFavorited: true,
+      favoritedAt: f.createdAt,
+    }));
+
+  res.json({
+    success: true,
+    count: properties.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    properties,
+  });
+});
+
+router.post("/:propertyId", protect, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.propertyId)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.propertyId);
+  if (!property || !property.isPublished()) {
+    throw new NotFoundError("Property not found");
+  }
+
+  // Upsert keeps repeated saves idempotent
+  const favorite = await Favorite.findOneAndUpdate(
+    { user: req.user._id, property: property._id },
+    { $setOnInsert: { user: req.user._id, property: property._id } },
+    { upsert: true, new: true }
+  );
+
+  res.status(201).json({ success: true, favorite });
+});
+
+router.delete("/:propertyId", protect, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.propertyId)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const result = await Favorite.deleteOne({
+    user: req.user._id,
+    property: req.params.propertyId,
+  });
+  if (!result.deletedCount) {
+    throw new NotFoundError("Favorite not found");
+  }
+
+  res.json({ success: true, message: "Favorite removed" });
+});
+
+module.exports = router;
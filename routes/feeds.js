@@ -0,0 +1,82 @@
+const express = require("express");
+const router = express.Router();
+const Property = require("../models/Property");
+const cache = require("../services/cache");
+const { buildPropertyQuery } = require("../utils/propertyQuery");
+const { validateGeoQuery } = require("../middleware/validateGeoQuery");
+const { validateFeedQuery } = require("../middleware/validateFeedQuery");
+const { sendCacheableText } = require("../utils/httpCache");
+const { buildRss, buildAtom, buildListingFeed, buildSitemap } = require("../utils/feeds");
+
+const FEED_TTL_SECONDS = 300;
+const SITEMAP_MAX_URLS = 50000; // Protocol limit per sitemap file
+
+const FEED_FIELDS =
+  "title description price location type amenities bedrooms bathrooms squareFootage " +
+  "status images externalRef agent createdAt publishedAt priceChangedAt locationCoordinates";
+
+// Newest public listings matching the same filters as GET /api/properties.
+// Only active listings are included unless ?status= asks for others.
+const feedListings = (params) => {
+  const limit = +params.limit || 50;
+  const statuses = params.status ? String(params.status).split(",") : ["active"];
+
+  return cache.wrap(
+    "feeds",
+    { ...params, limit, status: statuses },
+    () =>
+      Property.find({
+        ...buildPropertyQuery(params),
+        ...Property.PUBLIC_FILTER,
+        status: { $in: statuses },
+      })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select(FEED_FIELDS)
+        .populate("agent", "name email phone")
+        .lean(),
+    FEED_TTL_SECONDS
+  );
+};
+
+const channelFor = (req) => ({
+  title: "Latest property listings",
+  description: "New listings matching the requested filters",
+  selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+});
+
+// Renders feedListings() with `render`; conditional requests get a 304 by ETag.
+// No Last-Modified: edits, unpublishing and deletions leave no timestamp to derive it from.
+const feed = (type, render) => async (req, res) => {
+  const properties = await feedListings(req.query);
+  sendCacheableText(req, res, render(properties, channelFor(req)), {
+    type,
+    maxAge: FEED_TTL_SECONDS,
+  });
+};
+
+const feedValidators = [validateGeoQuery, validateFeedQuery];
+
+router.get("/rss.xml", feedValidators, feed("application/rss+xml", buildRss));
+router.get("/atom.xml", feedValidators, feed("application/atom+xml", buildAtom));
+router.get("/listings.xml", feedValidators, feed("application/xml", buildListingFeed));
+
+router.get("/sitemap.xml", async (req, res) => {
+  const properties = await cache.wrap(
+    "feeds",
+    { sitemap: true },
+    () =>
+      Property.find({ ...Property.PUBLIC_FILTER, status: "active" })
+        .sort({ createdAt: -1 })
+        .limit(SITEMAP_MAX_URLS)
+        .select("createdAt publishedAt priceChangedAt")
+        .lean(),
+    FEED_TTL_SECONDS
+  );
+  sendCacheableText(req, res, buildSitemap(properties), {
+    type: "application/xml",
+    maxAge: FEED_TTL_SECONDS,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Inquiry = require("../models/Inquiry");
+const Message = require("../models/Message");
+const Property = require("../models/Property");
+const { protect } = require("../middleware/auth");
+const { validateMessage } = require("../middleware/validateMessage");
+const { notify } = require("../services/notifier");
+const { ValidationError, ForbiddenError, NotFoundError } = require("../utils/errors");
+const { logger } = require("../config/logger");
+
+const PREVIEW_LENGTH = 140;
+
+// Stores a message and bumps the other participant's unread counter
+const appendMessage = async (inquiry, senderRole, senderId, body) => {
+  const message = await Message.create({ inquiry: inquiry._id, sender: senderId, body });
+  const recipientRole = senderRole === "buyer" ? "agent" : "buyer";
+
+  const updated = await Inquiry.findByIdAndUpdate(
+    inquiry._id,
+    {
+      $inc: { [`${recipientRole}Unread`]: 1 },
+      $set: {
+        lastMessageAt: message.createdAt,
+        lastMessagePreview: body.slice(0, PREVIEW_LENGTH),
+        [`${recipientRole}Archived`]: false, // New messages resurface archived threads
+      },
+    },
+    { new: true }
+  );
+
+  notify({
+    user: inquiry[recipientRole],
+    type: "inquiry.message",
+    title: "New message about a listing",
+    message: body.slice(0, PREVIEW_LENGTH),
+    data: { inquiry: inquiry._id, property: inquiry.property },
+  }).catch((err) => logger.error("Error notifying inquiry recipient:", err));
+
+  return { inquiry: updated, message };
+};
+
+// Loads a thread the current user takes part in, or throws
+const findOwnInquiry = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid inquiry ID", { code: "INVALID_ID" });
+  }
+  const inquiry = await Inquiry.findById(req.params.id);
+  if (!inquiry) {
+    throw new NotFoundError("Inquiry not found");
+  }
+  const role = inquiry.participantRole(req.user._id);
+  if (!role) {
+    throw new ForbiddenError("Not authorized");
+  }
+  return { inquiry, role };
+};
+
+router.post("/", protect, validateMessage, async (req, res) => {
+  const { propertyId, subject, message } = req.body;
+
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(propertyId)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(propertyId);
+  if (!property || !property.isPublished()) {
+    throw new NotFoundError("Property not found");
+  }
+  if (property.agent.toString() === req.user._id.toString()) {
+    throw new ValidationError("You cannot inquire about your own listing");
+  }
+
+  // Reopening an existing thread appends to it instead of creating a duplicate
+  let inquiry = await Inquiry.findOne({ property: property._id, buyer: req.user._id });
+  const created = !inquiry;
+  if (!inquiry) {
+    inquiry = await Inquiry.create({
+      property: property._id,
+      buyer: req.user._id,
+      agent: property.agent,
+      subject: subject || property.title,
+    });
+  }
+
+  const result = await appendMessage(inquiry, "buyer", req.user._id, message);
+  res.status(created ? 201 : 200).json({ success: true, ...result });
+});
+
+router.get("/", protect, async (req, res) => {
+  const { property, status = "active", page = 1, limit = 10 } = req.query;
+  const me = req.user._id;
+
+  // Archive and unread filters apply to whichever side of the thread the user is on
+  const sides = [
+    { role: "buyer", match: { buyer: me } },
+    { role: "agent", match: { agent: me } },
+  ].map(({ role, match }) => {
+    if (status === "archived") match[`${role}Archived`] = true;
+    else if (status === "unread") match[`${role}Unread`] = { $gt: 0 };
+    else if (status !== "all") match[`${role}Archived`] = false;
+    return match;
+  });
+
+  const query = { $or: sides };
+  if (property) {
+    if (!mongoose.isValidObjectId(property)) {
+      throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+    }
+    query.property = property;
+  }
+
+  const total = await Inquiry.countDocuments(query);
+  const inquiries = await Inquiry.find(query)
+    .sort({ lastMessageAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate("property", "title location price images status")
+    .populate("buyer", "name email")
+    .populate("agent", "name email");
+
+  res.json({
+    success: true,
+    count: inquiries.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    inquiries,
+  });
+});
+
+router.get("/unread-count", protect, async (req, res) => {
+  const me = req.user._id;
+
+  const [result] = await Inquiry.aggregate([
+    { $match: { $or: [{ buyer: me }, { agent: me }] } },
+    {
+      $group: {
+        _id: null,
+        unreadMessages: {
+          $sum: { $cond: [{ $eq: ["$buyer", me] }, "$buyerUnread", "$agentUnread"] },
+        },
+        unreadThreads: {
+          $sum: {
+            $cond: [
+              { $gt: [{ $cond: [{ $eq: ["$buyer", me] }, "$buyerUnread", "$agentUnread"] }, 0] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  res.json({
+    success: true,
+    unreadMessages: result ? result.unreadMessages : 0,
+    unreadThreads: result ? result.unreadThreads : 0,
+  });
+});
+
+router.get("/:id", protect, async (req, res) => {
+  const { inquiry, role } = await findOwnInquiry(req);
+
+  const messages = await Message.find({ inquiry: inquiry._id })
+    .sort({ createdAt: 1 })
+    .populate("sender", "name email");
+
+  // Opening a thread marks it read for the viewer
+  inquiry[`${role}Unread`] = 0;
+  await inquiry.save();
+  await inquiry.populate([
+    { path: "property", select: "title location price images status" },
+    { path: "buyer", select: "name email" },
+    { path: "agent", select: "name email" },
+  ]);
+
+  res.json({ success: true, inquiry, messages });
+});
+
+router.post("/:id/messages", protect, validateMessage, async (req, res) => {
+  const { inquiry, role } = await findOwnInquiry(req);
+
+  const result = await appendMessage(inquiry, role, req.user._id, req.body.message);
+  // Replying implies the sender has read the thread
+  result.inquiry[`${role}Unread`] = 0;
+  await result.inquiry.save();
+
+  res.status(201).json({ success: true, ...result });
+});
+
+router.patch("/:id/read", protect, async (req, res) => {
+  const { inquiry, role } = await findOwnInquiry(req);
+
+  // { read: false } flags the thread as unread again
+  const read = req.body.read !== false;
+  inquiry[`${role}Unread`] = read ? 0 : Math.max(inquiry[`${role}Unread`], 1);
+  await inquiry.save();
+
+  res.json({ success: true, inquiry });
+});
+
+router.patch("/:id/archive", protect, async (req, res) => {
+  const { inquiry, role } = await findOwnInquiry(req);
+
+  inquiry[`${role}Archived`] = req.body.archived !== false;
+  await inquiry.save();
+
+  res.json({ success: true, inquiry });
+});
+
+module.exports = router;
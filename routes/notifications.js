@@ -0,0 +1,69 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const { protect } = require("../middleware/auth");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+router.get("/", protect, async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+
+  const query = { user: req.user._id };
+  if (unread === "true") query.read = false;
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countDocuments({ user: req.user._id, read: false });
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit);
+
+  res.json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    notifications,
+  });
+});
+
+router.patch("/read-all", protect, async (req, res) => {
+  await Notification.updateMany({ user: req.user._id, read: false }, { read: true });
+  res.json({ success: true, message: "All notifications marked as read" });
+});
+
+router.patch("/:id/read", protect, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid notification ID", { code: "INVALID_ID" });
+  }
+
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { read: true },
+    { new: true }
+  );
+  if (!notification) {
+    throw new NotFoundError("Notification not found");
+  }
+
+  res.json({ success: true, notification });
+});
+
+router.delete("/:id", protect, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid notification ID", { code: "INVALID_ID" });
+  }
+
+  const result = await Notification.deleteOne({ _id: req.params.id, user: req.user._id });
+  if (!result.deletedCount) {
+    throw new NotFoundError("Notification not found");
+  }
+
+  res.json({ success: true, message: "Notification deleted" });
+});
+
+module.exports = router;
@@ -1,152 +1,179 @@
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const Property = require("../models/Property");
-const { protect, agent, admin } = require("../middleware/auth");
+const User = require("../models/User");
+const Favorite = require("../models/Favorite");
+const PropertyChange = require("../models/PropertyChange");
+const { protect, optionalAuth, agent, admin, verified } = require("../middleware/auth");
 const { validateProperty } = require("../middleware/validateProperty");
-const cloudinary = require("cloudinary").v2;
-const multer = require("multer");
-const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const sanitize = require("mongo-sanitize");
 const mongoose = require("mongoose");
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: {
-    folder: "realestate/properties",
-    allowed_formats: ["jpg", "jpeg", "png"],
-    transformation: [{ width: 800, quality: "auto", fetch_format: "auto" }],
-  },
-});
-
-const upload = multer({ storage });
-
-router.get("/", async (req, res) => {
-  const {
-    location,
-    priceMin,
-    priceMax,
-    type,
-    amenities,
-    bedrooms,
-    bathrooms,
-    squareFootageMin,
-    squareFootageMax,
-    search,
-    lat,
-    lng,
-    radius,
-    page = 1,
-    limit = 10,
-    sort = "createdAt",
-    order = "desc",
-  } = req.query;
-
-  let query = {};
-
-  // Sanitize inputs
-  Object.keys(req.query).forEach((key) => {
-    req.query[key] = sanitize(req.query[key]);
-  });
-
-  // Full-text search
-  if (search) {
-    query.$text = { $search: search };
+const { buildPropertyQuery } = require("../utils/propertyQuery");
+const { recordMatches } = require("../services/savedSearchAlerts");
+const cache = require("../services/cache");
+const { sendCacheable } = require("../utils/httpCache");
+const { recordView, trendingProperties } = require("../services/viewTracking");
+const { removePropertyData } = require("../services/propertyCleanup");
+const { nearestProperties, clusterProperties } = require("../services/geoSearch");
+const { validateGeoQuery } = require("../middleware/validateGeoQuery");
+const {
+  snapshot,
+  needsReview,
+  recordChanges,
+  priceHistory,
+} = require("../services/changeLog");
+const { audit } = require("../services/auditLog");
+const { canManageProperty } = require("../services/agencies");
+const { emitPropertyEvent } = require("../services/webhooks");
+const { publishPropertyEvent } = require("../services/realtime");
+const { uploadPropertyImages, destroyImages } = require("../services/media");
+const {
+  parseImportPayload,
+  importProperties,
+  toExportRecord,
+  EXPORT_COLUMNS,
+} = require("../services/propertyImport");
+const { toCsvRow } = require("../utils/csv");
+const { imageUpload, MAX_IMAGES_PER_PROPERTY } = require("../middleware/imageUpload");
+const { validateSimilar, validateComparables } = require("../middleware/validateComparables");
+const { similarProperties, comparableProperties } = require("../services/similarListings");
+const {
+  resolveRange,
+  agentPerformance,
+  listingPerformance,
+} = require("../services/agentAnalytics");
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errors");
+const { escapeRegex } = require("../utils/regex");
+const { logger } = require("../config/logger");
+
+// Images accepted in one create/update request
+const MAX_UPLOAD_BATCH = Math.min(5, MAX_IMAGES_PER_PROPERTY);
+
+// Loads a property the current user may manage; throws on failure
+const findOwnedProperty = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
   }
-
-  // Geospatial query using $geoWithin
-  if (lat && lng && radius) {
-    query.locationCoordinates = {
-      $geoWithin: {
-        $centerSphere: [[Number(lng), Number(lat)], Number(radius) / 6378.1], // Radius in radians (Earth's radius ~6378.1 km)
-      },
-    };
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
   }
+  return property;
+};
 
-  if (location) query.location = new RegExp(location, "i");
-  if (type) query.type = type;
-  if (amenities)
-    query.amenities = {
-      $all: amenities
-        .toString()
-        .split(",")
-        .map((a) => a.trim()),
-    };
-  if (bedrooms) query.bedrooms = Number(bedrooms);
-  if (bathrooms) query.bathrooms = Number(bathrooms);
+router.get("/", optionalAuth, validateGeoQuery, async (req, res) => {
+  const { page = 1, limit = 10, sort = "createdAt", order = "desc", lat, lng } = req.query;
 
-  if (priceMin || priceMax) {
-    query.price = {};
-    if (priceMin) query.price.$gte = Number(priceMin);
-    if (priceMax) query.price.$lte = Number(priceMax);
-  }
+  const query = { ...buildPropertyQuery(req.query), ...Property.PUBLIC_FILTER };
 
-  if (squareFootageMin || squareFootageMax) {
-    query.squareFootage = {};
-    if (squareFootageMin) query.squareFootage.$gte = Number(squareFootageMin);
-    if (squareFootageMax) query.squareFootage.$lte = Number(squareFootageMax);
-  }
+  // Cached per normalized query; the per-user isFavorited flag is added afterwards
+  const { total, properties } = await cache.wrap("properties", req.query, async () => {
+    if (sort === "distance") {
+      return nearestProperties(query, { lat, lng, page: +page, limit: +limit });
+    }
 
-  try {
     const total = await Property.countDocuments(query);
     const properties = await Property.find(query)
       .sort({ [sort]: order === "desc" ? -1 : 1 })
       .skip((+page - 1) * +limit)
       .limit(+limit)
-      .populate("agent", "name email");
+      .populate("agent", User.AGENT_SUMMARY_FIELDS);
+    return { total, properties };
+  });
 
-    const response = {
-      success: true,
-      count: properties.length,
-      total,
-      page: +page,
-      pages: Math.ceil(total / +limit),
-      properties,
-    };
-
-    res.json(response);
-  } catch (err) {
-    console.error("Error fetching properties:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+  const response = {
+    success: true,
+    count: properties.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    properties: await Favorite.markFavorited(req.user?._id, properties),
+  };
+
+  sendCacheable(req, res, response, { isPrivate: Boolean(req.user) });
+});
+
+router.get("/clusters", validateGeoQuery, async (req, res) => {
+  const { bbox, polygon, zoom } = req.query;
+
+  if (!bbox && !polygon) {
+    throw new ValidationError("bbox or polygon is required");
+  }
+  if (zoom === undefined) {
+    throw new ValidationError("zoom is required");
   }
+
+  const query = { ...buildPropertyQuery(req.query), ...Property.PUBLIC_FILTER };
+  const result = await cache.wrap("clusters", req.query, () =>
+    clusterProperties(query, Number(zoom))
+  );
+
+  sendCacheable(req, res, { success: true, zoom: Number(zoom), ...result });
 });
 
 router.get("/locations", async (req, res) => {
   const { search } = req.query;
 
-  try {
-    let locations;
+  const locations = await cache.wrap("locations", { search }, () => {
     if (search) {
       // Case-insensitive partial match for locations
-      locations = await Property.distinct("location", {
-        location: new RegExp(sanitize(search), "i"),
+      return Property.distinct("location", {
+        ...Property.PUBLIC_FILTER,
+        location: new RegExp(escapeRegex(sanitize(search)), "i"),
       });
-    } else {
-      // Fetch all unique locations
-      locations = await Property.distinct("location");
     }
+    // Fetch all unique locations
+    return Property.distinct("location", Property.PUBLIC_FILTER);
+  });
 
-    res.json({
+  sendCacheable(
+    req,
+    res,
+    {
       success: true,
       count: locations.length,
       locations,
-    });
-  } catch (err) {
-    console.error("Error fetching locations:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
-  }
+    },
+    { maxAge: 300 }
+  );
+});
+
+router.get("/trending", optionalAuth, async (req, res) => {
+  const { location, type, days = 7, halfLifeHours = 24, limit = 10 } = req.query;
+
+  const params = {
+    location: location ? sanitize(String(location)) : undefined,
+    type: type ? sanitize(String(type)) : undefined,
+    days: Math.min(Math.max(Number(days) || 7, 1), 90),
+    halfLifeHours: Math.max(Number(halfLifeHours) || 24, 1),
+    limit: Math.min(Math.max(Number(limit) || 10, 1), 50),
+  };
+
+  const properties = await cache.wrap("trending", params, () => trendingProperties(params), 300);
+
+  res.json({
+    success: true,
+    count: properties.length,
+    properties: await Favorite.markFavorited(req.user?._id, properties),
+  });
 });
 
 router.post(
   "/",
   protect,
   agent,
-  upload.array("images", 5),
+  verified,
+  imageUpload("images", MAX_UPLOAD_BATCH),
   validateProperty,
   async (req, res) => {
     const {
@@ -161,15 +188,14 @@ router.post(
       squareFootage,
       lat,
       lng,
+      submit,
     } = req.body;
 
-    try {
-      const images = req.files.map((file) => ({
-        url: file.path,
-        public_id: file.filename,
-      }));
+    const images = await uploadPropertyImages(req.files);
 
-      const property = await Property.create({
+    let property;
+    try {
+      property = await Property.create({
         title,
         description,
         price: Number(price),
@@ -185,329 +211,697 @@ router.post(
           lat && lng
             ? { type: "Point", coordinates: [Number(lng), Number(lat)] }
             : undefined,
+        // Agents start with a private draft (or go straight to review); admins publish directly
+        ...(req.user.role === "admin"
+          ? { publicationStatus: "published", publishedAt: Date.now() }
+          : String(submit) === "true"
+          ? { publicationStatus: "submitted", moderation: { submittedAt: Date.now() } }
+          : { publicationStatus: "draft" }),
       });
-
-      res.status(201).json({ success: true, property });
     } catch (err) {
-      console.error("Error creating property:", err);
-      res
-        .status(500)
-        .json({ success: false, message: "Failed to create property" });
+      // Nothing references the uploads if the listing was not saved
+      await destroyImages(images);
+      throw err;
     }
+    await recordChanges(property, null, req.user._id, "create");
+    await audit(req, {
+      action: "property.created",
+      target: { type: "property", id: property._id },
+      metadata: { title: property.title, price: property.price },
+    });
+
+    await cache.invalidateListings();
+    recordMatches(property).catch((err) =>
+      logger.error("Error matching saved searches:", err)
+    );
+    emitPropertyEvent("property.created", property);
+    publishPropertyEvent("property.created", property);
+
+    res.status(201).json({ success: true, property });
   }
 );
 
-router.get("/user", protect, agent, async (req, res) => {
-  try {
-    if (!req.user || !req.user._id) {
-      return res
-        .status(401)
-        .json({ success: false, message: "User not authenticated" });
-    }
+router.get("/user", protect, agent, validateGeoQuery, async (req, res) => {
+  if (!req.user || !req.user._id) {
+    throw new UnauthorizedError("User not authenticated");
+  }
 
-    const {
-      location,
-      priceMin,
-      priceMax,
-      type,
-      amenities,
-      bedrooms,
-      bathrooms,
-      squareFootageMin,
-      squareFootageMax,
-      search,
-      lat,
-      lng,
-      radius,
-      status,
-      page = 1,
-      limit = 10,
-      sort = "createdAt",
-      order = "desc",
-    } = req.query;
-
-    let query = { agent: req.user._id };
-
-    // Sanitize inputs
-    Object.keys(req.query).forEach((key) => {
-      req.query[key] = sanitize(req.query[key]);
-    });
+  const {
+    status,
+    publicationStatus,
+    page = 1,
+    limit = 10,
+    sort = "createdAt",
+    order = "desc",
+  } = req.query;
 
-    // Full-text search
-    if (search) {
-      query.$text = { $search: search };
-    }
+  const query = { ...buildPropertyQuery(req.query), agent: req.user._id };
+  if (status) query.status = sanitize(status);
+  if (publicationStatus) query.publicationStatus = sanitize(publicationStatus);
+
+  const { total, properties } =
+    sort === "distance"
+      ? await nearestProperties(query, {
+          lat: req.query.lat,
+          lng: req.query.lng,
+          page: +page,
+          limit: +limit,
+        })
+      : {
+          total: await Property.countDocuments(query),
+          properties: await Property.find(query)
+            .sort({ [sort]: order === "desc" ? -1 : 1 })
+            .skip((+page - 1) * +limit)
+            .limit(+limit)
+            .populate("agent", User.AGENT_SUMMARY_FIELDS),
+        };
 
-    // Geospatial query using $geoWithin
-    if (lat && lng && radius) {
-      query.locationCoordinates = {
-        $geoWithin: {
-          $centerSphere: [[Number(lng), Number(lat)], Number(radius) / 6378.1], // Radius in radians
-        },
-      };
-    }
+  res.json({
+    success: true,
+    count: properties.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    properties: await Favorite.markFavorited(req.user._id, properties),
+  });
+});
 
-    if (location) query.location = new RegExp(location, "i");
-    if (type) query.type = type;
-    if (amenities)
-      query.amenities = {
-        $all: amenities
-          .toString()
-          .split(",")
-          .map((a) => a.trim()),
-      };
-    if (bedrooms) query.bedrooms = Number(bedrooms);
-    if (bathrooms) query.bathrooms = Number(bathrooms);
-    if (status) query.status = status;
-
-    if (priceMin || priceMax) {
-      query.price = {};
-      if (priceMin) query.price.$gte = Number(priceMin);
-      if (priceMax) query.price.$lte = Number(priceMax);
-    }
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
 
-    if (squareFootageMin || squareFootageMax) {
-      query.squareFootage = {};
-      if (squareFootageMin) query.squareFootage.$gte = Number(squareFootageMin);
-      if (squareFootageMax) query.squareFootage.$lte = Number(squareFootageMax);
+// Import files are parsed in memory; plain text/csv bodies are accepted too
+const importFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES },
+}).single("file");
+
+const readImportFile = (req, res, next) =>
+  importFile(req, res, (err) => {
+    if (err instanceof multer.MulterError) return next(new ValidationError(err.message));
+    next(err);
+  });
+
+router.post(
+  "/import",
+  protect,
+  agent,
+  verified,
+  express.text({ type: ["text/csv", "application/csv"], limit: IMPORT_MAX_BYTES }),
+  readImportFile,
+  async (req, res) => {
+    const { rows, error } = parseImportPayload(req);
+    if (error) throw new ValidationError(error);
+
+    const dryRun = String(req.query.dryRun) === "true";
+    const result = await importProperties(rows, req.user, { dryRun });
+
+    if (!dryRun && result.saved.length) {
+      await audit(req, {
+        action: "property.imported",
+        metadata: result.summary,
+      });
+      await cache.invalidateListings();
+      const outcomes = new Map(result.rows.map((row) => [String(row.id), row]));
+      for (const property of result.saved) {
+        recordMatches(property).catch((err) =>
+          logger.error("Error matching saved searches:", err)
+        );
+        const outcome = outcomes.get(String(property._id));
+        const event =
+          outcome.status === "created"
+            ? "property.created"
+            : outcome.resubmitted
+            ? "property.unpublished"
+            : "property.updated";
+        emitPropertyEvent(event, property);
+        publishPropertyEvent(event, property);
+      }
     }
 
-    const total = await Property.countDocuments(query);
-    const properties = await Property.find(query)
-      .sort({ [sort]: order === "desc" ? -1 : 1 })
-      .skip((+page - 1) * +limit)
-      .limit(+limit)
-      .populate("agent", "name email");
+    res.json({ success: true, dryRun, summary: result.summary, rows: result.rows });
+  }
+);
 
-    res.json({
-      success: true,
-      count: properties.length,
-      total,
-      page: +page,
-      pages: Math.ceil(total / +limit),
-      properties,
-    });
-  } catch (err) {
-    console.error("Error fetching user properties:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+// Agents export their own listings, admins everything (optionally ?agent=<id>)
+router.get("/export", protect, agent, validateGeoQuery, async (req, res) => {
+  const format = req.query.format === "json" ? "json" : "csv";
+
+  const { status, publicationStatus } = req.query;
+  const query = buildPropertyQuery(req.query);
+  if (req.user.role !== "admin") query.agent = req.user._id;
+  else if (mongoose.isValidObjectId(req.query.agent)) query.agent = req.query.agent;
+  if (status) query.status = sanitize(status);
+  if (publicationStatus) query.publicationStatus = sanitize(publicationStatus);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`properties-${stamp}.${format}`);
+  res.type(format === "csv" ? "text/csv" : "application/json");
+  res.write(format === "csv" ? toCsvRow(EXPORT_COLUMNS) : "[");
+
+  await audit(req, {
+    action: "property.exported",
+    metadata: { format, query: req.query },
+  });
+
+  const cursor = Property.find(query)
+    .sort({ createdAt: -1 })
+    .populate("agent", "email")
+    .lean()
+    .cursor();
+  let first = true;
+  for await (const property of cursor) {
+    const record = toExportRecord(property);
+    if (format === "csv") {
+      res.write(toCsvRow(EXPORT_COLUMNS.map((column) => record[column])));
+    } else {
+      res.write((first ? "\n" : ",\n") + JSON.stringify(record));
+    }
+    first = false;
   }
+  res.end(format === "csv" ? "" : "\n]\n");
 });
 
 router.get("/analytics", protect, agent, async (req, res) => {
-  try {
-    if (!req.user || !req.user._id) {
-      return res
-        .status(401)
-        .json({ success: false, message: "User not authenticated" });
-    }
+  if (!req.user || !req.user._id) {
+    throw new UnauthorizedError("User not authenticated");
+  }
 
-    const properties = await Property.find({ agent: req.user._id });
-    const totalListings = properties.length;
-    const avgPrice = properties.length
-      ? properties.reduce((sum, p) => sum + p.price, 0) / properties.length
-      : 0;
-    const totalViews = properties.reduce((sum, p) => sum + p.views, 0);
-    const typeDistribution = ["house", "apartment", "condo", "land"].map(
-      (type) => ({
-        name: type,
-        count: properties.filter((p) => p.type === type).length,
-      })
-    );
+  const range = resolveRange(req.query);
+  if (!range) {
+    throw new ValidationError("Invalid date range");
+  }
 
-    res.json({
-      success: true,
-      analytics: {
-        totalListings,
-        avgPrice,
-        totalViews,
-        typeDistribution,
-      },
-    });
-  } catch (err) {
-    console.error("Error fetching analytics:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+  const analytics = await agentPerformance(req.user._id, range);
+
+  res.json({
+    success: true,
+    range,
+    analytics,
+  });
+});
+
+router.get("/analytics/:id", protect, agent, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
   }
+
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  const range = resolveRange(req.query);
+  if (!range) {
+    throw new ValidationError("Invalid date range");
+  }
+
+  const analytics = await listingPerformance(property, range);
+
+  res.json({ success: true, range, analytics });
 });
 
-router.get("/:id", async (req, res) => {
-  try {
-    // Validate ObjectID
-    if (!mongoose.isValidObjectId(req.params.id)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid property ID" });
-    }
+router.get("/:id", optionalAuth, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
 
-    const property = await Property.findById(req.params.id).populate(
-      "agent",
-      "name email"
-    );
-    if (!property) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Property not found" });
-    }
+  const property = await Property.findById(req.params.id).populate(
+    "agent",
+    User.AGENT_SUMMARY_FIELDS
+  );
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
 
-    // Increment views
-    property.views += 1;
-    await property.save();
+  // Unpublished listings are only visible to whoever manages them
+  if (!property.isPublished() && !(await canManageProperty(req.user, property))) {
+    throw new NotFoundError("Property not found");
+  }
+
+  recordView(property, req).catch((err) =>
+    logger.error("Error recording view:", err)
+  );
 
-    res.json({ success: true, property });
-  } catch (err) {
-    console.error("Error fetching property:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+  res.json({
+    success: true,
+    property: await Favorite.markFavorited(req.user?._id, property),
+  });
+});
+
+// Loads a property the requester may see; unpublished ones only for those who manage it
+const findVisibleProperty = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+  const property = await Property.findById(req.params.id);
+  if (!property || (!property.isPublished() && !(await canManageProperty(req.user, property)))) {
+    throw new NotFoundError("Property not found");
   }
+  return property;
+};
+
+router.get("/:id/similar", optionalAuth, validateSimilar, async (req, res) => {
+  const property = await findVisibleProperty(req);
+
+  const limit = +req.query.limit || 6;
+  const properties = await cache.wrap("similar", { id: property._id, limit }, () =>
+    similarProperties(property, { limit })
+  );
+
+  res.json({
+    success: true,
+    count: properties.length,
+    properties: await Favorite.markFavorited(req.user?._id, properties),
+  });
+});
+
+router.get("/:id/comparables", protect, agent, validateComparables, async (req, res) => {
+  const property = await findVisibleProperty(req);
+
+  const result = await comparableProperties(property, {
+    radiusKm: +req.query.radius || 5,
+    months: +req.query.months || 12,
+    status: req.query.status || "sold",
+    limit: +req.query.limit || 10,
+  });
+
+  res.json({ success: true, ...result });
+});
+
+router.get("/:id/price-history", async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.id);
+  if (!property || !property.isPublished()) {
+    throw new NotFoundError("Property not found");
+  }
+
+  const history = await priceHistory(property);
+  res.json({
+    success: true,
+    currentPrice: property.price,
+    originalPrice: history.length ? history[0].price : property.price,
+    priceReduced: property.priceReduced,
+    priceChangePercent: property.priceChangePercent ?? null,
+    history,
+  });
+});
+
+// Full field-level audit trail, for the owning agent and admins
+router.get("/:id/history", protect, agent, async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
+
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  const query = { property: property._id };
+  const total = await PropertyChange.countDocuments(query);
+  const changes = await PropertyChange.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate("actor", "name email role");
+
+  res.json({
+    success: true,
+    count: changes.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    changes,
+  });
 });
 
 router.patch("/:id/status", protect, agent, async (req, res) => {
-  try {
-    // Validate ObjectID
-    if (!mongoose.isValidObjectId(req.params.id)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid property ID" });
-    }
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
 
-    const { status } = req.body;
-    if (!["active", "sold", "pending", "rented"].includes(status)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid status value" });
-    }
+  const { status } = req.body;
+  if (!["active", "sold", "pending", "rented"].includes(status)) {
+    throw new ValidationError("Invalid status value");
+  }
 
-    const property = await Property.findById(req.params.id);
-    if (!property) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Property not found" });
-    }
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
 
-    const isOwner =
-      property.agent.toString() === req.user._id.toString() ||
-      req.user.role === "admin";
-    if (!isOwner) {
-      return res
-        .status(403)
-        .json({ success: false, message: "Not authorized" });
-    }
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
+  }
 
-    property.status = status;
-    await property.save();
+  const before = snapshot(property);
+  property.status = status;
+  property.closedAt = ["sold", "rented"].includes(status) ? Date.now() : undefined;
+  await property.save();
+  const change = await recordChanges(property, before, req.user._id, "status");
+  await audit(req, {
+    action: "property.status_changed",
+    target: { type: "property", id: property._id },
+    changes: change ? change.changes : [],
+  });
+  await cache.invalidateListings();
+  if (before.status !== status) {
+    emitPropertyEvent("property.status_changed", property, { previousStatus: before.status });
+    publishPropertyEvent("property.status_changed", property, { previousStatus: before.status });
+  }
+
+  res.json({ success: true, property });
+});
+
+router.post("/:id/submit", protect, agent, verified, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
 
-    res.json({ success: true, property });
-  } catch (err) {
-    console.error("Error updating property status:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
   }
+
+  if (!["draft", "rejected", "unpublished"].includes(property.publicationStatus)) {
+    throw new ValidationError(
+      `Cannot submit a ${property.publicationStatus || "published"} listing`
+    );
+  }
+
+  const before = snapshot(property);
+  property.publicationStatus = "submitted";
+  property.moderation.submittedAt = Date.now();
+  property.moderation.rejectionReason = undefined;
+  await property.save();
+  const change = await recordChanges(property, before, req.user._id, "submit");
+  await audit(req, {
+    action: "property.submitted",
+    target: { type: "property", id: property._id },
+    changes: change ? change.changes : [],
+  });
+
+  res.json({ success: true, property });
 });
 
-router.put(
-  "/:id",
+router.post("/:id/unpublish", protect, agent, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
+
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
+  }
+
+  if (!property.isPublished()) {
+    throw new ValidationError("Only published listings can be unpublished");
+  }
+
+  const before = snapshot(property);
+  property.publicationStatus = "unpublished";
+  await property.save();
+  const change = await recordChanges(property, before, req.user._id, "unpublish");
+  await audit(req, {
+    action: "property.unpublished",
+    target: { type: "property", id: property._id },
+    changes: change ? change.changes : [],
+  });
+  await cache.invalidateListings();
+  emitPropertyEvent("property.unpublished", property);
+  publishPropertyEvent("property.unpublished", property);
+
+  res.json({ success: true, property });
+});
+
+// Accepts a single value or a repeated multipart field
+const toList = (value) => (value === undefined ? [] : [].concat(value));
+
+const saveImageChange = async (req, property, before, action) => {
+  await property.save();
+  await recordChanges(property, before, req.user._id, "images");
+  await audit(req, {
+    action,
+    target: { type: "property", id: property._id },
+  });
+  await cache.invalidateListings();
+  emitPropertyEvent("property.updated", property, { changes: ["images"] });
+  publishPropertyEvent("property.updated", property, { changes: ["images"] });
+};
+
+router.post(
+  "/:id/images",
   protect,
   agent,
-  upload.array("images", 5),
-  validateProperty,
+  imageUpload("images", MAX_IMAGES_PER_PROPERTY),
   async (req, res) => {
-    try {
-      // Validate ObjectID
-      if (!mongoose.isValidObjectId(req.params.id)) {
-        return res
-          .status(400)
-          .json({ success: false, message: "Invalid property ID" });
-      }
+    const property = await findOwnedProperty(req);
 
-      const property = await Property.findById(req.params.id);
-      if (!property) {
-        return res
-          .status(404)
-          .json({ success: false, message: "Property not found" });
-      }
+    const files = req.files || [];
+    if (!files.length) {
+      throw new ValidationError("At least one image is required");
+    }
+    const remaining = MAX_IMAGES_PER_PROPERTY - property.images.length;
+    if (files.length > remaining) {
+      throw new ValidationError(
+        `A listing can have at most ${MAX_IMAGES_PER_PROPERTY} images (${Math.max(remaining, 0)} remaining)`
+      );
+    }
 
-      const isOwner =
-        property.agent.toString() === req.user._id.toString() ||
-        req.user.role === "admin";
-      if (!isOwner) {
-        return res
-          .status(403)
-          .json({ success: false, message: "Not authorized" });
-      }
+    const alts = toList(req.body.alt);
+    const captions = toList(req.body.caption);
+    const uploaded = await uploadPropertyImages(files);
 
-      // Update images only if new files are uploaded
-      if (req.files && req.files.length > 0) {
-        // Delete old images from Cloudinary
-        for (const img of property.images) {
-          await cloudinary.uploader.destroy(img.public_id);
-        }
-
-        // Set new images
-        property.images = req.files.map((file) => ({
-          url: file.path,
-          public_id: file.filename,
-        }));
-      }
+    const before = snapshot(property);
+    uploaded.forEach((img, i) => {
+      property.images.push({ ...img, alt: alts[i], caption: captions[i] });
+    });
+    await saveImageChange(req, property, before, "property.images_added");
 
-      // Update property fields
-      property.title = req.body.title;
-      property.description = req.body.description;
-      property.price = Number(req.body.price);
-      property.location = req.body.location;
-      property.type = req.body.type;
-      property.amenities = req.body.amenities || [];
-      property.bedrooms = Number(req.body.bedrooms) || 0;
-      property.bathrooms = Number(req.body.bathrooms) || 0;
-      property.squareFootage = Number(req.body.squareFootage) || 0;
-      if (req.body.lat && req.body.lng) {
-        property.locationCoordinates = {
-          type: "Point",
-          coordinates: [Number(req.body.lng), Number(req.body.lat)],
-        };
-      }
+    res.status(201).json({ success: true, images: property.images });
+  }
+);
 
-      await property.save();
-      res.json({ success: true, property });
-    } catch (err) {
-      console.error("Error updating property:", err);
-      res.status(500).json({ success: false, message: "Server Error" });
+router.patch("/:id/images/order", protect, agent, async (req, res) => {
+  const property = await findOwnedProperty(req);
+
+  // The new order must be a permutation of the existing public_ids
+  const order = req.body.order;
+  const current = property.images.map((img) => img.public_id);
+  const isPermutation =
+    Array.isArray(order) &&
+    order.length === current.length &&
+    new Set(order).size === order.length &&
+    order.every((id) => current.includes(id));
+  if (!isPermutation) {
+    throw new ValidationError("order must list every image public_id exactly once");
+  }
+
+  const before = snapshot(property);
+  const byId = new Map(property.images.map((img) => [img.public_id, img.toObject()]));
+  property.images = order.map((id) => byId.get(id));
+  await saveImageChange(req, property, before, "property.images_reordered");
+
+  res.json({ success: true, images: property.images });
+});
+
+router.patch("/:id/images/cover", protect, agent, async (req, res) => {
+  const property = await findOwnedProperty(req);
+
+  const cover = property.images.find((img) => img.public_id === req.body.public_id);
+  if (!cover) {
+    throw new NotFoundError("Image not found");
+  }
+
+  const before = snapshot(property);
+  property.images.forEach((img) => {
+    img.isCover = img === cover;
+  });
+  await saveImageChange(req, property, before, "property.cover_changed");
+
+  res.json({ success: true, images: property.images });
+});
+
+// public_ids contain slashes, so clients must URL-encode them
+router.patch("/:id/images/:publicId", protect, agent, async (req, res) => {
+  const property = await findOwnedProperty(req);
+
+  const image = property.images.find((img) => img.public_id === req.params.publicId);
+  if (!image) {
+    throw new NotFoundError("Image not found");
+  }
+
+  const before = snapshot(property);
+  for (const field of ["alt", "caption"]) {
+    if (req.body[field] === undefined) continue;
+    if (req.body[field] !== null && typeof req.body[field] !== "string") {
+      throw new ValidationError(`${field} must be a string`);
     }
+    image[field] = req.body[field] || undefined;
   }
-);
 
-router.delete("/:id", protect, agent, async (req, res) => {
-  try {
+  await saveImageChange(req, property, before, "property.image_updated");
+
+  res.json({ success: true, image });
+});
+
+router.delete("/:id/images/:publicId", protect, agent, async (req, res) => {
+  const property = await findOwnedProperty(req);
+
+  const image = property.images.find((img) => img.public_id === req.params.publicId);
+  if (!image) {
+    throw new NotFoundError("Image not found");
+  }
+
+  const before = snapshot(property);
+  property.images.pull(image._id);
+  await saveImageChange(req, property, before, "property.image_deleted");
+  await destroyImages([image]);
+
+  res.json({ success: true, images: property.images });
+});
+
+router.put(
+  "/:id",
+  protect,
+  agent,
+  imageUpload("images", MAX_UPLOAD_BATCH),
+  validateProperty,
+  async (req, res) => {
     // Validate ObjectID
     if (!mongoose.isValidObjectId(req.params.id)) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid property ID" });
+      throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
     }
 
     const property = await Property.findById(req.params.id);
     if (!property) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Property not found" });
+      throw new NotFoundError("Property not found");
+    }
+
+    const canManage = await canManageProperty(req.user, property);
+    if (!canManage) {
+      throw new ForbiddenError("Not authorized");
     }
 
-    const isOwner =
-      property.agent.toString() === req.user._id.toString() ||
-      req.user.role === "admin";
-    if (!isOwner) {
-      return res
-        .status(403)
-        .json({ success: false, message: "Not authorized" });
+    const before = snapshot(property);
+
+    // Replace images only if new files are uploaded; old ones are removed
+    // after the new set is safely stored
+    let replacedImages = [];
+    if (req.files && req.files.length > 0) {
+      replacedImages = property.images.map((img) => img.toObject());
+      property.images = await uploadPropertyImages(req.files);
     }
 
-    // Delete images from Cloudinary
-    for (const img of property.images) {
-      await cloudinary.uploader.destroy(img.public_id);
+    // Update property fields
+    property.title = req.body.title;
+    property.description = req.body.description;
+    property.setPrice(Number(req.body.price));
+    property.location = req.body.location;
+    property.type = req.body.type;
+    property.amenities = req.body.amenities || [];
+    property.bedrooms = Number(req.body.bedrooms) || 0;
+    property.bathrooms = Number(req.body.bathrooms) || 0;
+    property.squareFootage = Number(req.body.squareFootage) || 0;
+    if (req.body.lat && req.body.lng) {
+      property.locationCoordinates = {
+        type: "Point",
+        coordinates: [Number(req.body.lng), Number(req.body.lat)],
+      };
     }
 
-    await property.deleteOne();
-    res.json({ success: true, message: "Property deleted" });
-  } catch (err) {
-    console.error("Error deleting property:", err);
-    res.status(500).json({ success: false, message: "Server Error" });
+    // Approved content can't be rewritten without another review
+    const resubmitted = needsReview(req.user, property, before);
+    if (resubmitted) property.resubmit();
+
+    await property.save();
+    await destroyImages(replacedImages);
+    const change = await recordChanges(property, before, req.user._id, "update");
+    await audit(req, {
+      action: "property.updated",
+      target: { type: "property", id: property._id },
+      changes: change ? change.changes : [],
+    });
+    await cache.invalidateListings();
+
+    recordMatches(property).catch((err) =>
+      logger.error("Error matching saved searches:", err)
+    );
+    if (resubmitted) {
+      emitPropertyEvent("property.unpublished", property);
+      publishPropertyEvent("property.unpublished", property);
+    } else if (change) {
+      const changes = change.changes.map((c) => c.field);
+      emitPropertyEvent("property.updated", property, { changes });
+      publishPropertyEvent("property.updated", property, { changes });
+    }
+
+    res.json({ success: true, resubmitted, property });
+  }
+);
+
+router.delete("/:id", protect, agent, async (req, res) => {
+  // Validate ObjectID
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    throw new NotFoundError("Property not found");
+  }
+
+  const canManage = await canManageProperty(req.user, property);
+  if (!canManage) {
+    throw new ForbiddenError("Not authorized");
   }
+
+  // Delete images from storage; failures are queued for retry
+  await destroyImages(property.images);
+
+  await property.deleteOne();
+  await audit(req, {
+    action: "property.deleted",
+    target: { type: "property", id: property._id },
+    metadata: { title: property.title, agent: property.agent },
+  });
+  await removePropertyData(property._id);
+  await cache.invalidateListings();
+  emitPropertyEvent("property.deleted", property);
+  publishPropertyEvent("property.deleted", property);
+  res.json({ success: true, message: "Property deleted" });
 });
 
 module.exports = router;
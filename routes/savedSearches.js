@@ -0,0 +1,131 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const sanitize = require("mongo-sanitize");
+const SavedSearch = require("../models/SavedSearch");
+const SavedSearchMatch = require("../models/SavedSearchMatch");
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const { validateSavedSearch } = require("../middleware/validateSavedSearch");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+const FILTER_KEYS = [
+  "location",
+  "priceMin",
+  "priceMax",
+  "type",
+  "amenities",
+  "bedrooms",
+  "bathrooms",
+  "squareFootageMin",
+  "squareFootageMax",
+  "search",
+  "lat",
+  "lng",
+  "radius",
+];
+
+// Keeps only known filter keys; amenities may arrive as "a,b" like the query string
+const pickFilters = (filters = {}) => {
+  const clean = sanitize({ ...filters });
+  const picked = {};
+  FILTER_KEYS.forEach((key) => {
+    if (clean[key] !== undefined && clean[key] !== "") picked[key] = clean[key];
+  });
+  if (typeof picked.amenities === "string") {
+    picked.amenities = picked.amenities.split(",").map((a) => a.trim()).filter(Boolean);
+  }
+  return picked;
+};
+
+// Loads a saved search owned by the current user, or throws
+const findOwnSearch = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid saved search ID", { code: "INVALID_ID" });
+  }
+  const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+  if (!search) {
+    throw new NotFoundError("Saved search not found");
+  }
+  return search;
+};
+
+router.get("/", protect, async (req, res) => {
+  const searches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+  res.json({ success: true, count: searches.length, searches });
+});
+
+router.post("/", protect, validateSavedSearch, async (req, res) => {
+  const { name, filters, frequency } = req.body;
+
+  const search = await SavedSearch.create({
+    user: req.user._id,
+    name,
+    filters: pickFilters(filters),
+    frequency,
+  });
+  res.status(201).json({ success: true, search });
+});
+
+router.get("/:id", protect, async (req, res) => {
+  const search = await findOwnSearch(req);
+  res.json({ success: true, search });
+});
+
+router.put("/:id", protect, validateSavedSearch, async (req, res) => {
+  const search = await findOwnSearch(req);
+
+  search.name = req.body.name;
+  if (req.body.filters) search.filters = pickFilters(req.body.filters);
+  if (req.body.frequency) search.frequency = req.body.frequency;
+  search.updatedAt = Date.now();
+
+  await search.save();
+  res.json({ success: true, search });
+});
+
+router.delete("/:id", protect, async (req, res) => {
+  const search = await findOwnSearch(req);
+
+  await search.deleteOne();
+  await SavedSearchMatch.deleteMany({ savedSearch: search._id });
+  res.json({ success: true, message: "Saved search deleted" });
+});
+
+router.get("/:id/matches", protect, async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const search = await findOwnSearch(req);
+
+  // Matched listings may since have been unpublished; leave those out of the count too
+  const matchedIds = await SavedSearchMatch.find({ savedSearch: search._id }).distinct("property");
+  const visibleIds = await Property.find({
+    _id: { $in: matchedIds },
+    ...Property.PUBLIC_FILTER,
+  }).distinct("_id");
+
+  const query = { savedSearch: search._id, property: { $in: visibleIds } };
+  const total = await SavedSearchMatch.countDocuments(query);
+  const found = await SavedSearchMatch.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate({
+      path: "property",
+      match: Property.PUBLIC_FILTER,
+      populate: { path: "agent", select: User.AGENT_SUMMARY_FIELDS },
+    });
+  const matches = found.filter((match) => match.property);
+
+  res.json({
+    success: true,
+    count: matches.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    matches,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const { subscribe } = require("../services/realtime");
+const { ValidationError } = require("../utils/errors");
+const { logger } = require("../config/logger");
+
+const MAX_PROPERTIES = 50;
+const MAX_LOCATIONS = 10;
+const HEARTBEAT_MS = 25 * 1000;
+// How often an open stream re-checks the token it was opened with
+const AUTH_RECHECK_MS = 60 * 1000;
+
+// EventSource cannot set headers, so the access token may come as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Whether the stream's token is still good: not expired, not revoked by a
+ * tokenVersion bump, and its user still exists and is not suspended.
+ */
+const stillAuthorized = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return false;
+  }
+  const user = await User.findById(decoded.id).select("tokenVersion status");
+  return Boolean(
+    user && (decoded.tv || 0) === (user.tokenVersion || 0) && !user.isSuspended()
+  );
+};
+
+// Accepts "a,b" or a repeated query parameter
+const toList = (value) =>
+  [].concat(value || [])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Whether a published event is meant for this stream
+const wants = (subscription, event) => {
+  if (event.type === "notification") return event.user === subscription.user;
+  if (event.property && subscription.properties.has(event.property)) return true;
+  const location = String(event.location || "").toLowerCase();
+  return [...subscription.locations].some((wanted) => location.includes(wanted));
+};
+
+/**
+ * Server-Sent Events stream of listing events and the user's notifications.
+ * Subscribe with ?properties=<id,id> (status changes, updates, unpublishing
+ * or deletion of those listings) and/or ?locations=<text,text> (the same for
+ * listings in matching locations, plus newly published ones). Notifications for the
+ * signed-in user are always included. Reconnect to change subscriptions.
+ */
+router.get("/", tokenFromQuery, protect, (req, res) => {
+  const properties = toList(req.query.properties);
+  const locations = toList(req.query.locations).map((location) => location.toLowerCase());
+
+  if (properties.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new ValidationError("Invalid property ID", { code: "INVALID_ID" });
+  }
+  if (properties.length > MAX_PROPERTIES || locations.length > MAX_LOCATIONS) {
+    throw new ValidationError(
+      `Subscribe to at most ${MAX_PROPERTIES} properties and ${MAX_LOCATIONS} locations`
+    );
+  }
+
+  const subscription = {
+    user: String(req.user._id),
+    properties: new Set(properties),
+    locations: new Set(locations),
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop nginx from buffering the stream
+  });
+
+  let eventId = 0;
+  const send = (type, data) => {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write("retry: 5000\n\n");
+  send("ready", { properties, locations });
+
+  const unsubscribe = subscribe((event) => {
+    if (wants(subscription, event)) send(event.type, event.data);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  // Logging out everywhere, suspension, deletion or expiry ends the stream
+  const token = req.headers.authorization.split(" ")[1];
+  const authCheck = setInterval(() => {
+    stillAuthorized(token)
+      .then((ok) => {
+        if (ok || res.writableEnded) return;
+        send("unauthorized", { message: "Session ended; reconnect with a new token" });
+        stop();
+        res.end();
+      })
+      .catch((err) => logger.error("Error re-checking stream token:", err));
+  }, AUTH_RECHECK_MS);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    clearInterval(authCheck);
+    unsubscribe();
+  };
+  req.on("close", stop);
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { protect, agent, verified } = require("../middleware/auth");
+const { validateWebhook, validateWebhookUpdate } = require("../middleware/validateWebhook");
+const { generateSecret, pingWebhook, redeliver, WEBHOOK_EVENTS } = require("../services/webhooks");
+const { audit } = require("../services/auditLog");
+const { ValidationError, ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// Admin endpoints receive every event; agent endpoints only their own listings'
+router.use(protect, agent, verified);
+
+const isAdmin = (user) => user.role === "admin";
+
+// Only admins see what endpoints answered, so a webhook can't be used to read other hosts
+const deliveryFields = (user) => (isAdmin(user) ? "-payload" : "-payload -responseBody");
+
+const forViewer = (delivery, user) => {
+  if (!delivery || isAdmin(user)) return delivery;
+  const { responseBody, ...rest } = delivery.toObject();
+  return rest;
+};
+
+// Loads a webhook the current user may manage, or throws
+const findWebhook = async (req, { withSecret = false } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ValidationError("Invalid webhook ID", { code: "INVALID_ID" });
+  }
+  const webhook = await Webhook.findById(req.params.id).select(withSecret ? "+secret" : "");
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found");
+  }
+  if (!isAdmin(req.user) && !webhook.owner.equals(req.user._id)) {
+    throw new ForbiddenError("Not authorized");
+  }
+  return webhook;
+};
+
+// The secret is only ever returned when it is created or rotated
+const withSecret = (webhook) => ({ ...webhook.toObject(), secret: webhook.secret });
+
+router.get("/events", (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENTS });
+});
+
+router.get("/", async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const query = isAdmin(req.user) ? {} : { owner: req.user._id };
+  const total = await Webhook.countDocuments(query);
+  const webhooks = await Webhook.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .populate("owner", "name email");
+
+  res.json({
+    success: true,
+    count: webhooks.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    webhooks,
+  });
+});
+
+router.post("/", validateWebhook, async (req, res) => {
+  const { url, events, description, active } = req.body;
+  const webhook = await Webhook.create({
+    owner: req.user._id,
+    scope: isAdmin(req.user) ? "all" : "own",
+    url,
+    events: [...new Set(events)],
+    description,
+    active,
+    secret: generateSecret(),
+  });
+  await audit(req, {
+    action: "webhook.created",
+    target: { type: "webhook", id: webhook._id },
+    metadata: { url: webhook.url, events: webhook.events },
+  });
+
+  res.status(201).json({ success: true, webhook: withSecret(webhook) });
+});
+
+router.get("/:id", async (req, res) => {
+  const webhook = await findWebhook(req);
+
+  const lastDelivery = await WebhookDelivery.findOne({ webhook: webhook._id })
+    .sort({ createdAt: -1 })
+    .select(deliveryFields(req.user));
+
+  res.json({ success: true, webhook: { ...webhook.toObject(), lastDelivery } });
+});
+
+router.put("/:id", validateWebhookUpdate, async (req, res) => {
+  const webhook = await findWebhook(req);
+
+  const { url, events, description, active } = req.body;
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) webhook.active = active === true || active === "true";
+  await webhook.save();
+  await audit(req, {
+    action: "webhook.updated",
+    target: { type: "webhook", id: webhook._id },
+    metadata: { url: webhook.url, events: webhook.events, active: webhook.active },
+  });
+
+  res.json({ success: true, webhook });
+});
+
+router.delete("/:id", async (req, res) => {
+  const webhook = await findWebhook(req);
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+  await audit(req, {
+    action: "webhook.deleted",
+    target: { type: "webhook", id: webhook._id },
+    metadata: { url: webhook.url },
+  });
+
+  res.json({ success: true, message: "Webhook deleted" });
+});
+
+// Issues a new signing secret; the old one stops working immediately
+router.post("/:id/rotate-secret", async (req, res) => {
+  const webhook = await findWebhook(req);
+
+  webhook.secret = generateSecret();
+  await webhook.save();
+  await audit(req, {
+    action: "webhook.secret_rotated",
+    target: { type: "webhook", id: webhook._id },
+  });
+
+  res.json({ success: true, webhook: withSecret(webhook) });
+});
+
+// Sends a signed "ping" event and returns the recorded delivery
+router.post("/:id/ping", async (req, res) => {
+  const webhook = await findWebhook(req, { withSecret: true });
+  if (!webhook.active) {
+    throw new ValidationError("Enable the webhook first");
+  }
+
+  const delivery = await pingWebhook(webhook);
+  res.json({ success: true, delivery: forViewer(delivery, req.user) });
+});
+
+router.get("/:id/deliveries", async (req, res) => {
+  const { status, event, page = 1, limit = 20 } = req.query;
+
+  const webhook = await findWebhook(req);
+
+  const query = { webhook: webhook._id };
+  if (["pending", "succeeded", "failed"].includes(status)) query.status = status;
+  if (typeof event === "string" && event) query.event = event;
+
+  const total = await WebhookDelivery.countDocuments(query);
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .skip((+page - 1) * +limit)
+    .limit(+limit)
+    .select(deliveryFields(req.user));
+
+  res.json({
+    success: true,
+    count: deliveries.length,
+    total,
+    page: +page,
+    pages: Math.ceil(total / +limit),
+    deliveries,
+  });
+});
+
+// Loads one delivery of the webhook, or throws
+const findDelivery = async (req, webhook) => {
+  if (!mongoose.isValidObjectId(req.params.deliveryId)) {
+    throw new ValidationError("Invalid delivery ID", { code: "INVALID_ID" });
+  }
+  const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+  if (!delivery) {
+    throw new NotFoundError("Delivery not found");
+  }
+  return delivery;
+};
+
+router.get("/:id/deliveries/:deliveryId", async (req, res) => {
+  const webhook = await findWebhook(req);
+  const delivery = await findDelivery(req, webhook);
+
+  res.json({ success: true, delivery: forViewer(delivery, req.user) });
+});
+
+router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res) => {
+  const webhook = await findWebhook(req, { withSecret: true });
+  const original = await findDelivery(req, webhook);
+  if (!webhook.active) {
+    throw new ValidationError("Enable the webhook first");
+  }
+
+  const delivery = await redeliver(original, webhook);
+  await audit(req, {
+    action: "webhook.redelivered",
+    target: { type: "webhook", id: webhook._id },
+    metadata: { delivery: original._id, redelivery: delivery._id, event: delivery.event },
+  });
+
+  res.json({ success: true, delivery: forViewer(delivery, req.user) });
+});
+
+module.exports = router;
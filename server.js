@@ -1,8 +1,17 @@
 const app = require('./app');
 const connectDB = require('./config/db');
+const { startDigestScheduler } = require('./services/savedSearchAlerts');
+const { startDeletionRetryScheduler } = require('./services/media');
+const { startWebhookRetryScheduler } = require('./services/webhooks');
+const { startRealtime } = require('./services/realtime');
+const { logger } = require('./config/logger');
 
 const PORT = process.env.PORT || 8000;
 
 connectDB()
+startDigestScheduler();
+startDeletionRetryScheduler();
+startWebhookRetryScheduler();
+startRealtime();
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => logger.info('Server running', { port: Number(PORT) }));
@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const VerificationToken = require("../models/VerificationToken");
+const { sendMail } = require("./mailer");
+const { appUrl } = require("../utils/urls");
+
+const VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates a token, invalidating any unused one for the same purpose
+const createToken = async (user, purpose, ttlMs, email) => {
+  await VerificationToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString("hex");
+  await VerificationToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+/**
+ * Marks a token used and returns it, or null when it is unknown, expired
+ * or already consumed. The conditional update makes tokens single-use.
+ */
+const consumeToken = (token, purpose) =>
+  VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+const sendVerificationEmail = async (user) => {
+  const token = await createToken(user, "email_verification", VERIFY_TTL_MS, user.email);
+  const link = `${appUrl()}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening:\n${link}\n\nThis link expires in 24 hours.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createToken(user, "password_reset", RESET_TTL_MS);
+  const link = `${appUrl()}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nReset your password by opening:\n${link}\n\nThis link expires in 1 hour. If you did not ask for a reset, ignore this email.`,
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, consumeToken };
@@ -0,0 +1,44 @@
+const User = require("../models/User");
+const Property = require("../models/Property");
+
+// Only agents who founded or accepted their way into an agency count as members
+const isJoinedAgencyAdmin = (user) =>
+  Boolean(user.agency) && Boolean(user.agencyJoinedAt) && user.agencyRole === "admin";
+
+/**
+ * Whether `user` may manage `property`: its own agent, a site admin, or an
+ * admin of the agency the listing's agent has joined. `property.agent` may
+ * be populated or a plain id.
+ */
+const canManageProperty = async (user, property) => {
+  if (!user || !property || !property.agent) return false;
+  const agentId = (property.agent._id || property.agent).toString();
+  if (user.role === "admin" || agentId === user._id.toString()) return true;
+  if (!isJoinedAgencyAdmin(user)) return false;
+  return Boolean(
+    await User.exists({ _id: agentId, agency: user.agency, agencyJoinedAt: { $ne: null } })
+  );
+};
+
+// Agency admins manage the agency itself; site admins manage every agency
+const canManageAgency = (user, agencyId) =>
+  user.role === "admin" ||
+  (isJoinedAgencyAdmin(user) && user.agency.toString() === agencyId.toString());
+
+/**
+ * Listing counts per status for the given agents, limited to public
+ * listings: `{ active, pending, sold, rented }`.
+ */
+const listingCounts = async (agentIds) => {
+  const rows = await Property.aggregate([
+    { $match: { agent: { $in: agentIds }, ...Property.PUBLIC_FILTER } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  return ["active", "pending", "sold", "rented"].reduce((acc, status) => {
+    const row = rows.find((r) => r._id === status);
+    acc[status] = row ? row.count : 0;
+    return acc;
+  }, {});
+};
+
+module.exports = { canManageProperty, canManageAgency, listingCounts };
@@ -0,0 +1,231 @@
+const Property = require("../models/Property");
+const ViewEvent = require("../models/ViewEvent");
+const Inquiry = require("../models/Inquiry");
+const Favorite = require("../models/Favorite");
+const PropertyChange = require("../models/PropertyChange");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_IMPACT_WINDOW_DAYS = 7;
+
+const round = (n, places = 2) => (n === null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+const percentChange = (current, previous) =>
+  previous ? round(((current - previous) / previous) * 100) : current ? null : 0;
+
+/**
+ * Resolves ?from=&to= into a UTC day-aligned range (default: last 30 days)
+ * plus the equally long period immediately before it for comparison.
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 29 * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) return null;
+
+  start.setUTCHours(0, 0, 0, 0);
+  end.setUTCHours(23, 59, 59, 999);
+  const length = end.getTime() - start.getTime() + 1;
+
+  return {
+    from: start,
+    to: end,
+    previous: { from: new Date(start.getTime() - length), to: new Date(start.getTime() - 1) },
+  };
+};
+
+// Counts documents per UTC day and fills gaps with zeros
+const dailySeries = async (Model, match, from, to) => {
+  const rows = await Model.aggregate([
+    { $match: { ...match, createdAt: { $gte: from, $lte: to } } },
+    { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, count: { $sum: 1 } } },
+  ]);
+  const counts = new Map(rows.map((r) => [r._id, r.count]));
+
+  const series = [];
+  for (let day = new Date(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    const key = day.toISOString().slice(0, 10);
+    series.push({ date: key, count: counts.get(key) || 0 });
+  }
+  return series;
+};
+
+const countInRange = (Model, match, { from, to }) =>
+  Model.countDocuments({ ...match, createdAt: { $gte: from, $lte: to } });
+
+// Activity totals and daily series for a set of listings
+const activity = async (propertyIds, range) => {
+  const match = { property: { $in: propertyIds } };
+  const [views, inquiries, favorites, prevViews, prevInquiries, prevFavorites] = await Promise.all([
+    dailySeries(ViewEvent, match, range.from, range.to),
+    dailySeries(Inquiry, match, range.from, range.to),
+    dailySeries(Favorite, match, range.from, range.to),
+    countInRange(ViewEvent, match, range.previous),
+    countInRange(Inquiry, match, range.previous),
+    countInRange(Favorite, match, range.previous),
+  ]);
+
+  const sum = (series) => series.reduce((total, d) => total + d.count, 0);
+  const totals = { views: sum(views), inquiries: sum(inquiries), favorites: sum(favorites) };
+  const previous = { views: prevViews, inquiries: prevInquiries, favorites: prevFavorites };
+
+  return {
+    series: { views, inquiries, favorites },
+    totals,
+    previous,
+    change: {
+      views: percentChange(totals.views, previous.views),
+      inquiries: percentChange(totals.inquiries, previous.inquiries),
+      favorites: percentChange(totals.favorites, previous.favorites),
+    },
+  };
+};
+
+// Average days from listing to sold/rented for listings closed within the range
+const daysOnMarket = async (match, range) => {
+  const [row] = await Property.aggregate([
+    {
+      $match: {
+        ...match,
+        status: { $in: ["sold", "rented"] },
+        closedAt: { $gte: range.from, $lte: range.to },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        avgDays: { $avg: { $divide: [{ $subtract: ["$closedAt", "$createdAt"] }, DAY_MS] } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  return { avgDays: row ? round(row.avgDays, 1) : null, closed: row ? row.count : 0 };
+};
+
+/**
+ * For each price change in the range, compares average daily unique views
+ * in the week before and the week after (truncated at today).
+ */
+const priceChangeImpact = async (propertyIds, range, limit = 50) => {
+  const changes = await PropertyChange.find({
+    property: { $in: propertyIds },
+    "changes.field": "price",
+    action: { $ne: "create" },
+    createdAt: { $gte: range.from, $lte: range.to },
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate("property", "title");
+
+  const window = PRICE_IMPACT_WINDOW_DAYS * DAY_MS;
+  return Promise.all(
+    changes.map(async (entry) => {
+      const change = entry.changes.find((c) => c.field === "price");
+      const at = entry.createdAt;
+      const afterEnd = new Date(Math.min(at.getTime() + window, Date.now()));
+      const afterDays = Math.max((afterEnd - at) / DAY_MS, 1);
+      const propertyId = entry.property ? entry.property._id : entry.property;
+
+      const [before, after] = await Promise.all([
+        ViewEvent.countDocuments({ property: propertyId, createdAt: { $gte: new Date(at - window), $lt: at } }),
+        ViewEvent.countDocuments({ property: propertyId, createdAt: { $gte: at, $lt: afterEnd } }),
+      ]);
+      const avgBefore = round(before / PRICE_IMPACT_WINDOW_DAYS);
+      const avgAfter = round(after / afterDays);
+
+      return {
+        property: entry.property,
+        date: at,
+        priceBefore: change.before,
+        priceAfter: change.after,
+        priceChangePercent: change.before ? percentChange(change.after, change.before) : null,
+        avgDailyViewsBefore: avgBefore,
+        avgDailyViewsAfter: avgAfter,
+        viewsChangePercent: percentChange(avgAfter, avgBefore),
+      };
+    })
+  );
+};
+
+// Listing-level totals computed in the database rather than in memory
+const listingSummary = async (match) => {
+  const [summary] = await Property.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalListings: { $sum: 1 },
+              avgPrice: { $avg: "$price" },
+              totalViews: { $sum: "$views" },
+              uniqueViews: { $sum: { $ifNull: ["$uniqueViews", 0] } },
+            },
+          },
+        ],
+        types: [{ $group: { _id: "$type", count: { $sum: 1 } } }],
+        statuses: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  const totals = summary.totals[0] || { totalListings: 0, avgPrice: 0, totalViews: 0, uniqueViews: 0 };
+  const typeCounts = new Map(summary.types.map((t) => [t._id, t.count]));
+  const statusCounts = new Map(summary.statuses.map((t) => [t._id, t.count]));
+
+  return {
+    totalListings: totals.totalListings,
+    avgPrice: totals.avgPrice || 0,
+    totalViews: totals.totalViews,
+    uniqueViews: totals.uniqueViews,
+    typeDistribution: ["house", "apartment", "condo", "land"].map((type) => ({
+      name: type,
+      count: typeCounts.get(type) || 0,
+    })),
+    statusDistribution: ["active", "pending", "sold", "rented"].map((status) => ({
+      name: status,
+      count: statusCounts.get(status) || 0,
+    })),
+  };
+};
+
+const agentPerformance = async (agentId, range) => {
+  const match = { agent: agentId };
+  const propertyIds = await Property.distinct("_id", match);
+
+  const [summary, totalFavorites, periodActivity, market, priceImpact] = await Promise.all([
+    listingSummary(match),
+    Favorite.countDocuments({ property: { $in: propertyIds } }),
+    activity(propertyIds, range),
+    daysOnMarket(match, range),
+    priceChangeImpact(propertyIds, range),
+  ]);
+
+  return { ...summary, totalFavorites, ...periodActivity, daysOnMarket: market, priceChangeImpact: priceImpact };
+};
+
+const listingPerformance = async (property, range) => {
+  const ids = [property._id];
+  const [totalFavorites, periodActivity, priceImpact] = await Promise.all([
+    Favorite.countDocuments({ property: property._id }),
+    activity(ids, range),
+    priceChangeImpact(ids, range),
+  ]);
+
+  const closedAt = ["sold", "rented"].includes(property.status) ? property.closedAt : null;
+  const daysOnMarketValue = round(
+    ((closedAt ? closedAt.getTime() : Date.now()) - property.createdAt.getTime()) / DAY_MS,
+    1
+  );
+
+  return {
+    property: { _id: property._id, title: property.title, status: property.status, price: property.price },
+    totalViews: property.views,
+    uniqueViews: property.uniqueViews || 0,
+    totalFavorites,
+    ...periodActivity,
+    daysOnMarket: { days: daysOnMarketValue, closed: Boolean(closedAt) },
+    priceChangeImpact: priceImpact,
+  };
+};
+
+module.exports = { resolveRange, agentPerformance, listingPerformance };
@@ -0,0 +1,29 @@
+const AuditLog = require("../models/AuditLog");
+const { logger } = require("../config/logger");
+
+/**
+ * Records an audit event for the current request. Actor, IP and user agent
+ * come from `req` unless overridden (e.g. failed logins have no req.user).
+ * Never throws: a broken audit write must not fail the action itself.
+ */
+const audit = async (req, { action, outcome, actor, target, changes, metadata }) => {
+  const user = actor || req.user;
+  try {
+    return await AuditLog.create({
+      action,
+      outcome,
+      actor: user ? user._id : undefined,
+      actorRole: user ? user.role : undefined,
+      target,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      changes,
+      metadata,
+    });
+  } catch (err) {
+    logger.error(`Error writing audit log (${action}):`, err);
+    return null;
+  }
+};
+
+module.exports = { audit };
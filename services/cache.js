@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const { getRedisClient } = require("../config/redis");
+const { logger } = require("../config/logger");
+
+const DEFAULT_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS) || 60;
+
+// Small in-process LRU used when Redis is not configured
+class LruCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const memory = new LruCache(Number(process.env.CACHE_MAX_ENTRIES) || 500);
+const memoryVersions = new Map();
+
+// Each namespace has a version number; bumping it orphans every old key at once
+const getVersion = async (namespace) => {
+  const redis = await getRedisClient();
+  if (redis) return Number(await redis.get(`cache:version:${namespace}`)) || 0;
+  return memoryVersions.get(namespace) || 0;
+};
+
+// Drops empty values and sorts keys so equivalent queries share a cache entry
+const normalizeParams = (params = {}) =>
+  Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== "")
+    .sort()
+    .reduce((acc, key) => {
+      const value = params[key];
+      acc[key] = typeof value === "string" ? value.trim() : value;
+      return acc;
+    }, {});
+
+const buildKey = async (namespace, params) => {
+  const version = await getVersion(namespace);
+  const digest = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(normalizeParams(params)))
+    .digest("hex");
+  return `cache:${namespace}:v${version}:${digest}`;
+};
+
+/**
+ * Returns the cached value for (namespace, params), computing and storing
+ * it with `fn` on a miss. Cache errors never fail the request.
+ */
+const wrap = async (namespace, params, fn, ttlSeconds = DEFAULT_TTL_SECONDS) => {
+  let key;
+  let redis;
+  try {
+    redis = await getRedisClient();
+    key = await buildKey(namespace, params);
+    const hit = redis ? await redis.get(key) : memory.get(key);
+    if (hit !== undefined && hit !== null) {
+      return redis ? JSON.parse(hit) : hit;
+    }
+  } catch (err) {
+    logger.error(`Cache read failed (${namespace})`, { error: err.message });
+  }
+
+  const value = await fn();
+
+  if (key) {
+    try {
+      // Round-trip through JSON so hits and misses have the same shape
+      const serialized = JSON.stringify(value);
+      if (redis) await redis.set(key, serialized, { EX: ttlSeconds });
+      else memory.set(key, JSON.parse(serialized), ttlSeconds);
+    } catch (err) {
+      logger.error(`Cache write failed (${namespace})`, { error: err.message });
+    }
+  }
+
+  return JSON.parse(JSON.stringify(value));
+};
+
+const invalidate = async (...namespaces) => {
+  try {
+    const redis = await getRedisClient();
+    for (const namespace of namespaces) {
+      if (redis) await redis.incr(`cache:version:${namespace}`);
+      else memoryVersions.set(namespace, (memoryVersions.get(namespace) || 0) + 1);
+    }
+  } catch (err) {
+    logger.error("Cache invalidation failed", { error: err.message });
+  }
+};
+
+// Every listing-derived namespace changes whenever a property does
+const invalidateListings = () =>
+  invalidate("properties", "locations", "trending", "clusters", "feeds", "similar");
+
+module.exports = { wrap, invalidate, invalidateListings, normalizeParams, LruCache };
@@ -0,0 +1,127 @@
+const PropertyChange = require("../models/PropertyChange");
+
+// Fields whose before/after values are recorded on every change
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "price",
+  "location",
+  "type",
+  "amenities",
+  "bedrooms",
+  "bathrooms",
+  "squareFootage",
+  "status",
+  "publicationStatus",
+  "images",
+  "locationCoordinates.coordinates",
+];
+
+const read = (property, field) => {
+  const value = property.get(field);
+  if (value === undefined || value === null) return null;
+  // Enough of each image to show reordering, cover changes and text edits
+  if (field === "images") {
+    return value.map((img) => ({
+      public_id: img.public_id,
+      isCover: Boolean(img.isCover),
+      alt: img.alt || null,
+      caption: img.caption || null,
+    }));
+  }
+  // Round-trip to drop Mongoose array wrappers and ObjectIds
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Captures the tracked fields so they can be diffed after the property is saved
+const snapshot = (property) =>
+  TRACKED_FIELDS.reduce((acc, field) => {
+    acc[field] = read(property, field);
+    return acc;
+  }, {});
+
+// Tracked fields of `property` that differ from `before` (all of them when `before` is null)
+const diffSnapshot = (property, before) => {
+  const after = snapshot(property);
+  return TRACKED_FIELDS.filter(
+    (field) => !before || JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    field,
+    before: before ? before[field] : null,
+    after: after[field],
+  }));
+};
+
+// Edits to these need another review once a listing is published; price and
+// sale status changes go live directly
+const REVIEWED_FIELDS = TRACKED_FIELDS.filter(
+  (field) => !["price", "status", "publicationStatus"].includes(field)
+);
+
+/**
+ * Whether an edit by `user` has to go back through moderation: the listing
+ * was published in `before` and a reviewed field changed. Admins publish
+ * directly, so their edits never do.
+ */
+const needsReview = (user, property, before) => {
+  if (user.role === "admin" || !before) return false;
+  if (before.publicationStatus && before.publicationStatus !== "published") return false;
+  return diffSnapshot(property, before).some((change) => REVIEWED_FIELDS.includes(change.field));
+};
+
+/**
+ * Appends a change log entry for every tracked field that differs from
+ * `before`. Pass `before = null` for a newly created property.
+ */
+const recordChanges = async (property, before, actor, action) => {
+  const changes = diffSnapshot(property, before);
+
+  if (!changes.length) return null;
+  return PropertyChange.create({ property: property._id, actor, action, changes });
+};
+
+/**
+ * Price points in chronological order, starting with the listing price at
+ * creation and followed by every recorded price change.
+ */
+const priceHistory = async (property) => {
+  const entries = await PropertyChange.find({
+    property: property._id,
+    "changes.field": "price",
+  }).sort({ createdAt: 1 });
+
+  const points = entries.map((entry) => {
+    const change = entry.changes.find((c) => c.field === "price");
+    return { before: change.before, price: change.after, date: entry.createdAt };
+  });
+
+  // Listings that pre-date the log start from the first known "before" value
+  const history = [];
+  if (!points.length || points[0].before !== null) {
+    history.push({
+      price: points.length ? points[0].before : property.price,
+      date: property.createdAt,
+      changePercent: null,
+    });
+  }
+  points.forEach((p) => {
+    history.push({
+      price: p.price,
+      date: p.date,
+      changePercent: p.before
+        ? Math.round(((p.price - p.before) / p.before) * 10000) / 100
+        : null,
+    });
+  });
+
+  return history;
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshot,
+  needsReview,
+  recordChanges,
+  priceHistory,
+  TRACKED_FIELDS,
+};
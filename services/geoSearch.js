@@ -0,0 +1,99 @@
+const Property = require("../models/Property");
+
+/**
+ * Pages through listings ordered by distance from [lng, lat]. Each result
+ * carries `distance` in kilometres. `query` may not contain $text.
+ */
+const nearestProperties = async (query, { lat, lng, page = 1, limit = 10 }) => {
+  const [result] = await Property.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: [Number(lng), Number(lat)] },
+        key: "locationCoordinates",
+        distanceField: "distance",
+        distanceMultiplier: 0.001, // Metres to kilometres
+        spherical: true,
+        query,
+      },
+    },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        properties: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $lookup: { from: "users", localField: "agent", foreignField: "_id", as: "agent" } },
+          { $set: { agent: { $arrayElemAt: ["$agent", 0] } } },
+          {
+            $set: {
+              agent: {
+                _id: "$agent._id",
+                name: "$agent.name",
+                email: "$agent.email",
+                rating: "$agent.rating",
+              },
+              distance: { $round: ["$distance", 3] },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    total: result.total.length ? result.total[0].count : 0,
+    properties: result.properties,
+  };
+};
+
+// Degrees per grid cell: roughly four cells across a 256px tile at each zoom
+const cellSizeForZoom = (zoom) => 360 / 2 ** zoom / 4;
+
+/**
+ * Buckets listings matching `query` into a lng/lat grid sized for the zoom
+ * level. Single-listing cells include the property id so the map can link it.
+ */
+const clusterProperties = async (query, zoom) => {
+  const cell = cellSizeForZoom(zoom);
+
+  const clusters = await Property.aggregate([
+    { $match: query },
+    {
+      $project: {
+        price: 1,
+        lng: { $arrayElemAt: ["$locationCoordinates.coordinates", 0] },
+        lat: { $arrayElemAt: ["$locationCoordinates.coordinates", 1] },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ["$lng", cell] } },
+          y: { $floor: { $divide: ["$lat", cell] } },
+        },
+        count: { $sum: 1 },
+        avgPrice: { $avg: "$price" },
+        lng: { $avg: "$lng" },
+        lat: { $avg: "$lat" },
+        propertyIds: { $push: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        cell: "$_id",
+        count: 1,
+        avgPrice: { $round: ["$avgPrice", 2] },
+        centroid: { type: "Point", coordinates: ["$lng", "$lat"] },
+        propertyId: {
+          $cond: [{ $eq: ["$count", 1] }, { $arrayElemAt: ["$propertyIds", 0] }, null],
+        },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+  return { cellSize: cell, clusters };
+};
+
+module.exports = { nearestProperties, clusterProperties };
@@ -0,0 +1,35 @@
+const consoleTransport = require("./consoleTransport");
+const outbox = require("./outboxTransport");
+
+// A transport is any object with `send(message)` returning a promise
+const transports = {
+  console: consoleTransport,
+  outbox,
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Sends an email through the transport named by MAIL_TRANSPORT
+ * (defaults to the local outbox so nothing leaves the machine).
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || "outbox";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "no-reply@realestate.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,14 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes each message as a JSON file in MAIL_OUTBOX_DIR for inspection in tests
+module.exports = {
+  send: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join("logs", "outbox");
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    return { file };
+  },
+};
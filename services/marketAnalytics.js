@@ -0,0 +1,152 @@
+const sanitize = require("mongo-sanitize");
+const Property = require("../models/Property");
+const { escapeRegex } = require("../utils/regex");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date formats per bucket size; %G-W%V is the ISO week
+const INTERVAL_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+
+/**
+ * Shared $match for every metric: ?from=&to= (on createdAt), ?location=
+ * (case-insensitive partial match) and ?type=.
+ */
+const buildMatch = ({ from, to, location, type } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  if (location) match.location = new RegExp(escapeRegex(location), "i");
+  if (type) match.type = sanitize(String(type));
+  return match;
+};
+
+// Median of a pre-sorted array field, averaging the two middle values when even
+const medianOf = (field) => ({
+  $let: {
+    vars: { n: { $size: field } },
+    in: {
+      $cond: [
+        { $eq: ["$$n", 0] },
+        null,
+        {
+          $cond: [
+            { $eq: [{ $mod: ["$$n", 2] }, 1] },
+            { $arrayElemAt: [field, { $floor: { $divide: ["$$n", 2] } }] },
+            {
+              $avg: [
+                { $arrayElemAt: [field, { $subtract: [{ $divide: ["$$n", 2] }, 1] }] },
+                { $arrayElemAt: [field, { $divide: ["$$n", 2] }] },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  },
+});
+
+const newListings = (filters, interval = "day") =>
+  Property.aggregate([
+    { $match: buildMatch(filters) },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: INTERVAL_FORMATS[interval] || INTERVAL_FORMATS.day, date: "$createdAt" },
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", count: 1 } },
+  ]);
+
+// Median/average price and price per square foot, grouped by location or type
+const priceStats = (filters, groupBy = "location") =>
+  Property.aggregate([
+    { $match: buildMatch(filters) },
+    { $sort: { price: 1 } },
+    {
+      $group: {
+        _id: groupBy === "type" ? "$type" : "$location",
+        count: { $sum: 1 },
+        avgPrice: { $avg: "$price" },
+        prices: { $push: "$price" },
+        // Land and listings without a size would skew price per square foot
+        pricesPerSqft: {
+          $push: {
+            $cond: [
+              { $gt: ["$squareFootage", 0] },
+              { $divide: ["$price", "$squareFootage"] },
+              null, // $avg skips nulls
+            ],
+          },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        [groupBy === "type" ? "type" : "location"]: "$_id",
+        count: 1,
+        avgPrice: { $round: ["$avgPrice", 2] },
+        medianPrice: medianOf("$prices"),
+        avgPricePerSqft: { $round: [{ $avg: "$pricesPerSqft" }, 2] },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+const statusFunnel = async (filters) => {
+  const rows = await Property.aggregate([
+    { $match: buildMatch(filters) },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = { active: 0, pending: 0, sold: 0, rented: 0 };
+  rows.forEach((r) => {
+    counts[r._id] = r.count;
+  });
+  return { ...counts, total: Object.values(counts).reduce((a, b) => a + b, 0) };
+};
+
+// Average days from listing to sold/rented, overall and by status
+const daysOnMarket = async (filters) => {
+  const rows = await Property.aggregate([
+    { $match: { ...buildMatch(filters), status: { $in: ["sold", "rented"] }, closedAt: { $ne: null } } },
+    { $project: { status: 1, days: { $divide: [{ $subtract: ["$closedAt", "$createdAt"] }, DAY_MS] } } },
+    { $group: { _id: "$status", avgDays: { $avg: "$days" }, count: { $sum: 1 } } },
+  ]);
+  const byStatus = rows.map((r) => ({ status: r._id, avgDays: Math.round(r.avgDays * 10) / 10, count: r.count }));
+  const total = byStatus.reduce((sum, r) => sum + r.count, 0);
+  const avgDays = total ? byStatus.reduce((sum, r) => sum + r.avgDays * r.count, 0) / total : null;
+  return { avgDays: avgDays === null ? null : Math.round(avgDays * 10) / 10, count: total, byStatus };
+};
+
+const topAgents = (filters, by = "listings", limit = 10) =>
+  Property.aggregate([
+    { $match: buildMatch(filters) },
+    { $group: { _id: "$agent", listings: { $sum: 1 }, views: { $sum: "$views" } } },
+    { $sort: by === "views" ? { views: -1, listings: -1 } : { listings: -1, views: -1 } },
+    { $limit: limit },
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "agent" } },
+    { $set: { agent: { $arrayElemAt: ["$agent", 0] } } },
+    {
+      $project: {
+        _id: 0,
+        agent: { _id: "$_id", name: "$agent.name", email: "$agent.email" },
+        listings: 1,
+        views: 1,
+      },
+    },
+  ]);
+
+module.exports = {
+  INTERVAL_FORMATS,
+  newListings,
+  priceStats,
+  statusFunnel,
+  daysOnMarket,
+  topAgents,
+};
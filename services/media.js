@@ -0,0 +1,95 @@
+const { getStorage } = require("./storage");
+const MediaDeletion = require("../models/MediaDeletion");
+const { logger } = require("../config/logger");
+
+const MAX_DELETE_ATTEMPTS = 8;
+const RETRY_BASE_MS = 60 * 1000;
+
+const PROPERTY_IMAGE = { folder: "realestate/properties", width: 800 };
+const AVATAR_IMAGE = { folder: "avatars", width: 150 };
+
+// Uploads several in-memory files; if one fails, the ones already stored are removed again
+const uploadPropertyImages = async (files = []) => {
+  const uploaded = [];
+  try {
+    for (const file of files) uploaded.push(await getStorage().upload(file.buffer, PROPERTY_IMAGE));
+  } catch (err) {
+    await destroyImages(uploaded);
+    throw err;
+  }
+  return uploaded;
+};
+
+// `source` is what the client sent at registration: a data URI, or an image
+// URL on backends that fetch it themselves (Cloudinary; the local backend refuses URLs)
+const uploadAvatar = async (source) => {
+  const { url, public_id } = await getStorage().upload(source, AVATAR_IMAGE);
+  return { url, public_id };
+};
+
+const destroyRemote = (publicId) => getStorage().destroy(publicId);
+
+/**
+ * Deletes images from media storage. Failures are queued for retry with
+ * exponential backoff instead of leaving orphans behind. Returns the
+ * public_ids that could not be deleted right away.
+ */
+const destroyImages = async (images = []) => {
+  const failed = [];
+  for (const img of images) {
+    if (!img || !img.public_id) continue;
+    try {
+      await destroyRemote(img.public_id);
+    } catch (err) {
+      logger.error(`Error deleting image ${img.public_id}, queued for retry`, { error: err.message });
+      failed.push(img.public_id);
+      await MediaDeletion.updateOne(
+        { public_id: img.public_id },
+        {
+          $setOnInsert: { public_id: img.public_id, nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS) },
+          $set: { lastError: err.message },
+        },
+        { upsert: true }
+      );
+    }
+  }
+  return failed;
+};
+
+const retryPendingDeletions = async (batchSize = 50) => {
+  const due = await MediaDeletion.find({
+    nextAttemptAt: { $lte: new Date() },
+    attempts: { $lt: MAX_DELETE_ATTEMPTS },
+  }).limit(batchSize);
+
+  for (const job of due) {
+    try {
+      await destroyRemote(job.public_id);
+      await job.deleteOne();
+    } catch (err) {
+      job.attempts += 1;
+      job.lastError = err.message;
+      job.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** job.attempts);
+      await job.save();
+      if (job.attempts >= MAX_DELETE_ATTEMPTS) {
+        logger.error(`Giving up deleting image ${job.public_id} after ${job.attempts} attempts`);
+      }
+    }
+  }
+};
+
+const startDeletionRetryScheduler = (intervalMs = 5 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    retryPendingDeletions().catch((err) => logger.error("Error retrying image deletions:", err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  uploadPropertyImages,
+  uploadAvatar,
+  destroyImages,
+  retryPendingDeletions,
+  startDeletionRetryScheduler,
+};
@@ -0,0 +1,7 @@
+const { logger } = require("../../config/logger");
+
+module.exports = {
+  send: async ({ user, type, title, message }) => {
+    logger.info("notification", { user: String(user), type, title, message: message || undefined });
+  },
+};
@@ -0,0 +1,14 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Appends one JSON line per notification; handy for tests without a mail service
+module.exports = {
+  send: async (notification) => {
+    const file = process.env.NOTIFIER_FILE_PATH || path.join("logs", "notifications.log");
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(
+      file,
+      JSON.stringify({ ...notification, sentAt: new Date().toISOString() }) + "\n"
+    );
+  },
+};
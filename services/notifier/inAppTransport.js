@@ -0,0 +1,6 @@
+const Notification = require("../../models/Notification");
+
+// Stores the notification in the user's in-app inbox (GET /api/notifications)
+module.exports = {
+  send: (notification) => Notification.create(notification),
+};
@@ -0,0 +1,52 @@
+const inApp = require("./inAppTransport");
+const consoleTransport = require("./consoleTransport");
+const file = require("./fileTransport");
+const realtime = require("./realtimeTransport");
+const { logger } = require("../../config/logger");
+
+// A transport is any object with `send(notification)` returning a promise
+const transports = {
+  inapp: inApp,
+  console: consoleTransport,
+  file,
+  realtime,
+};
+
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Notifier transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+// NOTIFIER_TRANSPORTS is a comma-separated list, e.g. "inapp,file"
+const activeTransports = () =>
+  (process.env.NOTIFIER_TRANSPORTS || "inapp,console,realtime")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => {
+      if (!transports[name]) {
+        logger.error(`Unknown notifier transport "${name}"`);
+        return false;
+      }
+      return true;
+    })
+    .map((name) => transports[name]);
+
+/**
+ * Delivers a notification through every active transport.
+ * A failing transport is logged and does not stop the others.
+ */
+const notify = async ({ user, type, title, message = "", data = {} }) => {
+  const notification = { user, type, title, message, data };
+
+  await Promise.all(
+    activeTransports().map((transport) =>
+      Promise.resolve()
+        .then(() => transport.send(notification))
+        .catch((err) => logger.error(`Notifier transport failed (${type}):`, err))
+    )
+  );
+};
+
+module.exports = { notify, registerTransport };
@@ -0,0 +1,11 @@
+const { publish } = require("../realtime");
+
+// Pushes the notification to the user's open streams (GET /api/stream)
+module.exports = {
+  send: ({ user, ...notification }) =>
+    publish({
+      type: "notification",
+      user: String(user),
+      data: { ...notification, createdAt: new Date().toISOString() },
+    }),
+};
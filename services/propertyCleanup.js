@@ -0,0 +1,45 @@
+const Favorite = require("../models/Favorite");
+const SavedSearchMatch = require("../models/SavedSearchMatch");
+const ViewEvent = require("../models/ViewEvent");
+const PropertyViewer = require("../models/PropertyViewer");
+const Appointment = require("../models/Appointment");
+const { notify } = require("./notifier");
+const { logger } = require("../config/logger");
+
+// Cancels open viewings of the property and tells buyers about upcoming ones
+const cancelAppointments = async (propertyId) => {
+  const open = await Appointment.find({
+    property: propertyId,
+    status: { $in: Appointment.BLOCKING_STATUSES },
+  });
+  if (!open.length) return;
+
+  await Appointment.updateMany(
+    { _id: { $in: open.map((a) => a._id) } },
+    { status: "cancelled", updatedAt: Date.now() }
+  );
+  const now = new Date();
+  for (const appointment of open) {
+    if (appointment.start <= now) continue;
+    notify({
+      user: appointment.buyer,
+      type: "appointment.cancelled",
+      title: "A viewing was cancelled",
+      message: "The listing has been removed",
+      data: { appointment: appointment._id, property: propertyId },
+    }).catch((err) => logger.error("Error notifying buyer:", err));
+  }
+};
+
+// Removes data that only makes sense while the property exists
+const removePropertyData = async (propertyId) => {
+  await Promise.all([
+    Favorite.deleteMany({ property: propertyId }),
+    SavedSearchMatch.deleteMany({ property: propertyId }),
+    ViewEvent.deleteMany({ property: propertyId }),
+    PropertyViewer.deleteMany({ property: propertyId }),
+    cancelAppointments(propertyId),
+  ]);
+};
+
+module.exports = { removePropertyData };
@@ -0,0 +1,263 @@
+const { body, validationResult } = require("express-validator");
+const Property = require("../models/Property");
+const { propertyRules } = require("../middleware/validateProperty");
+const { snapshot, diffSnapshot, needsReview, recordChanges } = require("./changeLog");
+const { parseCsv } = require("../utils/csv");
+
+const MAX_IMPORT_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 500;
+const STATUSES = ["active", "sold", "rented", "pending"];
+
+// Columns the importer understands; anything else (id, images, ...) is ignored
+const IMPORT_FIELDS = [
+  "externalRef",
+  "title",
+  "description",
+  "price",
+  "location",
+  "type",
+  "amenities",
+  "bedrooms",
+  "bathrooms",
+  "squareFootage",
+  "status",
+  "lat",
+  "lng",
+];
+
+// Same rules as the listing form, plus the import-only columns
+const importRules = [
+  ...propertyRules,
+  body("externalRef")
+    .notEmpty()
+    .withMessage("externalRef is required")
+    .isLength({ max: 100 })
+    .withMessage("externalRef must be at most 100 characters"),
+  body("status").optional().isIn(STATUSES).withMessage("Invalid status"),
+  body("lat").if(body("lng").exists()).exists().withMessage("lat and lng must be provided together"),
+  body("lng").if(body("lat").exists()).exists().withMessage("lat and lng must be provided together"),
+];
+
+const fieldError = (path, msg, value) => ({ type: "field", value, msg, path, location: "body" });
+
+// Keeps known columns and drops blanks so optional fields keep their current value
+const normalizeRow = (raw) =>
+  IMPORT_FIELDS.reduce((row, field) => {
+    let value = raw[field];
+    if (typeof value === "string") value = value.trim();
+    if (value !== undefined && value !== null && value !== "") row[field] = value;
+    return row;
+  }, {});
+
+const validateRow = async (row) => {
+  const req = { body: row };
+  for (const rule of importRules) await rule.run(req);
+  return validationResult(req).array();
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const applyRow = (property, row) => {
+  property.title = row.title;
+  property.description = row.description;
+  property.setPrice(Number(row.price));
+  property.location = row.location;
+  property.type = row.type;
+  if (row.amenities !== undefined) property.amenities = toList(row.amenities);
+  for (const field of ["bedrooms", "bathrooms", "squareFootage"]) {
+    if (row[field] !== undefined) property[field] = Number(row[field]);
+  }
+  if (row.status && row.status !== property.status) {
+    property.status = row.status;
+    property.closedAt = ["sold", "rented"].includes(row.status) ? Date.now() : undefined;
+  }
+  if (row.lat !== undefined && row.lng !== undefined) {
+    property.locationCoordinates = {
+      type: "Point",
+      coordinates: [Number(row.lng), Number(row.lat)],
+    };
+  }
+};
+
+// Imported listings follow the same publication rules as POST /api/properties
+const initialPublication = (user) =>
+  user.role === "admin"
+    ? { publicationStatus: "published", publishedAt: Date.now() }
+    : { publicationStatus: "draft" };
+
+/**
+ * Reads import rows from a multipart `file` (CSV or JSON), a text/csv body,
+ * or a JSON body (an array or `{ properties: [...] }`). Returns `{ rows }`
+ * or `{ error }` with a message for the client.
+ */
+const parseImportPayload = (req) => {
+  try {
+    let rows;
+    if (req.file) {
+      const text = req.file.buffer.toString("utf8");
+      const isJson = /json/.test(req.file.mimetype) || /\.json$/i.test(req.file.originalname);
+      rows = isJson ? JSON.parse(text) : parseCsv(text);
+    } else if (typeof req.body === "string") {
+      rows = parseCsv(req.body);
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body && req.body.properties;
+    }
+    if (rows && !Array.isArray(rows)) rows = rows.properties;
+
+    if (!Array.isArray(rows) || !rows.length) {
+      return { error: "Provide a non-empty CSV file or JSON array of properties" };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return { error: `An import can contain at most ${MAX_IMPORT_ROWS} rows` };
+    }
+    return { rows };
+  } catch (err) {
+    return { error: `Could not parse import: ${err.message}` };
+  }
+};
+
+/**
+ * Creates or updates the importing user's listings, matching rows on
+ * `externalRef`. With `dryRun` nothing is written, but every row is still
+ * validated and classified. Returns a per-row report plus the saved
+ * properties so the caller can run its usual side effects.
+ */
+const importProperties = async (rawRows, user, { dryRun = false } = {}) => {
+  const rows = rawRows.map((raw) => (raw && typeof raw === "object" ? normalizeRow(raw) : null));
+  const refs = rows.filter((row) => row && row.externalRef).map((row) => String(row.externalRef));
+  const existing = await Property.find({ agent: user._id, externalRef: { $in: refs } });
+  const byRef = new Map(existing.map((property) => [property.externalRef, property]));
+
+  const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const report = [];
+  const saved = [];
+  const seen = new Set();
+
+  for (const [i, row] of rows.entries()) {
+    const entry = { row: i + 1, externalRef: row ? row.externalRef : undefined };
+    report.push(entry);
+
+    const errors = row ? await validateRow(row) : [fieldError("row", "Row must be an object", rawRows[i])];
+    if (!errors.length && seen.has(String(row.externalRef))) {
+      errors.push(fieldError("externalRef", "Duplicate externalRef in this import", row.externalRef));
+    }
+    if (errors.length) {
+      summary.failed += 1;
+      Object.assign(entry, { status: "failed", errors });
+      continue;
+    }
+    const ref = String(row.externalRef);
+    seen.add(ref);
+
+    let property = byRef.get(ref);
+    const isNew = !property;
+    if (isNew) {
+      property = new Property({ agent: user._id, externalRef: ref, ...initialPublication(user) });
+    }
+    const before = isNew ? null : snapshot(property);
+    applyRow(property, row);
+
+    const changes = isNew ? [] : diffSnapshot(property, before).map((change) => change.field);
+    if (!isNew && !changes.length) {
+      summary.unchanged += 1;
+      Object.assign(entry, { status: "unchanged", id: property._id });
+      continue;
+    }
+
+    // Same rule as PUT /api/properties/:id: edited published listings go back to review
+    const resubmitted = needsReview(user, property, before);
+    if (resubmitted) property.resubmit();
+
+    const invalid = property.validateSync();
+    if (invalid) {
+      summary.failed += 1;
+      const errors = Object.values(invalid.errors).map((err) =>
+        fieldError(err.path, err.message, err.value)
+      );
+      Object.assign(entry, { status: "failed", errors });
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        await property.save();
+      } catch (err) {
+        // Another import claimed the same externalRef in the meantime
+        if (err.code !== 11000) throw err;
+        summary.failed += 1;
+        Object.assign(entry, {
+          status: "failed",
+          errors: [fieldError("externalRef", "externalRef is already in use", ref)],
+        });
+        continue;
+      }
+      await recordChanges(property, before, user._id, "import");
+      saved.push(property);
+    }
+    summary[isNew ? "created" : "updated"] += 1;
+    Object.assign(entry, {
+      status: isNew ? "created" : "updated",
+      id: dryRun && isNew ? undefined : property._id,
+      ...(isNew ? {} : { changes }),
+      ...(resubmitted ? { resubmitted } : {}),
+    });
+  }
+
+  return { summary, rows: report, saved };
+};
+
+const EXPORT_COLUMNS = [
+  "externalRef",
+  "id",
+  "title",
+  "description",
+  "price",
+  "location",
+  "type",
+  "amenities",
+  "bedrooms",
+  "bathrooms",
+  "squareFootage",
+  "status",
+  "publicationStatus",
+  "lat",
+  "lng",
+  "images",
+  "agent",
+  "createdAt",
+];
+
+// Flat export record whose columns line up with the importer's
+const toExportRecord = (property) => {
+  const [lng, lat] = (property.locationCoordinates && property.locationCoordinates.coordinates) || [];
+  const hasCoordinates = lng !== undefined && !(lng === 0 && lat === 0);
+  return {
+    externalRef: property.externalRef,
+    id: String(property._id),
+    title: property.title,
+    description: property.description,
+    price: property.price,
+    location: property.location,
+    type: property.type,
+    amenities: (property.amenities || []).join(", "),
+    bedrooms: property.bedrooms,
+    bathrooms: property.bathrooms,
+    squareFootage: property.squareFootage,
+    status: property.status,
+    publicationStatus: property.publicationStatus || "published",
+    lat: hasCoordinates ? lat : undefined,
+    lng: hasCoordinates ? lng : undefined,
+    images: (property.images || []).map((img) => img.url).join(" "),
+    agent: property.agent && property.agent.email ? property.agent.email : String(property.agent),
+    createdAt: property.createdAt && property.createdAt.toISOString(),
+  };
+};
+
+module.exports = {
+  parseImportPayload,
+  importProperties,
+  toExportRecord,
+  EXPORT_COLUMNS,
+};
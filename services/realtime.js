@@ -0,0 +1,92 @@
+const { EventEmitter } = require("events");
+const { getRedisClient } = require("../config/redis");
+const { logger } = require("../config/logger");
+
+const CHANNEL = process.env.REALTIME_CHANNEL || "realtime:events";
+
+// Delivers events to the streams connected to this instance
+const localBus = new EventEmitter();
+localBus.setMaxListeners(0);
+
+let subscriber;
+let starting;
+
+/**
+ * Subscribes this instance to the Redis channel so events published by any
+ * instance reach its streams. Without Redis, events stay in-process, which
+ * is all a single instance (or a test run) needs.
+ */
+const startRealtime = async () => {
+  if (!starting) {
+    starting = (async () => {
+      const redis = await getRedisClient();
+      if (!redis) return;
+      const client = redis.duplicate();
+      client.on("error", (err) => logger.error("Redis subscriber error", { error: err.message }));
+      await client.connect();
+      await client.subscribe(CHANNEL, (message) => {
+        try {
+          localBus.emit("event", JSON.parse(message));
+        } catch (err) {
+          logger.error("Error reading realtime event:", err);
+        }
+      });
+      subscriber = client;
+    })().catch((err) => logger.error("Realtime subscriber failed", { error: err.message }));
+  }
+  return starting;
+};
+
+/**
+ * Publishes `{ type, data, ...routing }` to every instance. Routing keys
+ * (`property`, `location`, `user`) decide which streams receive it.
+ */
+const publish = async (event) => {
+  const redis = await getRedisClient();
+  if (redis) {
+    await redis.publish(CHANNEL, JSON.stringify(event));
+    // Until our own subscription is up, local streams would miss the event
+    if (subscriber && subscriber.isReady) return;
+  }
+  localBus.emit("event", JSON.parse(JSON.stringify(event)));
+};
+
+// Returns a function that removes the listener
+const subscribe = (listener) => {
+  localBus.on("event", listener);
+  return () => localBus.off("event", listener);
+};
+
+// Fields streamed with listing events; clients refetch for anything more
+const propertySummary = (property) => {
+  const images = property.images || [];
+  const cover = images.find((img) => img.isCover) || images[0];
+  return {
+    _id: property._id,
+    title: property.title,
+    location: property.location,
+    type: property.type,
+    price: property.price,
+    status: property.status,
+    bedrooms: property.bedrooms,
+    bathrooms: property.bathrooms,
+    image: cover ? cover.url : null,
+  };
+};
+
+/**
+ * Streams a listing event to clients following the listing or its location.
+ * Only public listings are streamed, so drafts never leak to subscribers;
+ * "property.unpublished" tells them a listing has left that state.
+ */
+const publishPropertyEvent = (type, property, extra = {}) => {
+  if (!property.isPublished() && type !== "property.unpublished") return;
+  publish({
+    type,
+    property: String(property._id),
+    location: property.location,
+    data: { property: propertySummary(property), ...extra },
+  }).catch((err) => logger.error(`Error publishing ${type} event:`, err));
+};
+
+module.exports = { startRealtime, publish, subscribe, publishPropertyEvent };
@@ -0,0 +1,118 @@
+const Property = require("../models/Property");
+const SavedSearch = require("../models/SavedSearch");
+const SavedSearchMatch = require("../models/SavedSearchMatch");
+const { buildPropertyQuery } = require("../utils/propertyQuery");
+const { notify } = require("./notifier");
+const { logger } = require("../config/logger");
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Cheap pre-filter so only plausible saved searches run the full query
+const candidateFilter = (property) => ({
+  user: { $ne: property.agent },
+  $and: [
+    { $or: [{ "filters.type": null }, { "filters.type": property.type }] },
+    { $or: [{ "filters.priceMin": null }, { "filters.priceMin": { $lte: property.price } }] },
+    { $or: [{ "filters.priceMax": null }, { "filters.priceMax": { $gte: property.price } }] },
+  ],
+});
+
+/**
+ * Records a match for every saved search the property now satisfies and
+ * sends instant alerts. Existing matches are left alone, so re-saving a
+ * listing never alerts the same search twice.
+ */
+const recordMatches = async (property) => {
+  if (property.status !== "active" || !property.isPublished()) return [];
+
+  const matches = [];
+  const searches = await SavedSearch.find(candidateFilter(property));
+
+  for (const search of searches) {
+    const { filters } = search.toObject();
+    const isMatch = await Property.exists({
+      ...buildPropertyQuery(filters),
+      _id: property._id,
+    });
+    if (!isMatch) continue;
+
+    let match;
+    try {
+      match = await SavedSearchMatch.create({
+        savedSearch: search._id,
+        user: search.user,
+        property: property._id,
+      });
+    } catch (err) {
+      if (err.code === 11000) continue; // Already matched earlier
+      throw err;
+    }
+    matches.push(match);
+
+    if (search.frequency === "instant") {
+      await notify({
+        user: search.user,
+        type: "saved_search.match",
+        title: `New listing for "${search.name}"`,
+        message: `${property.title} in ${property.location} at ${property.price}`,
+        data: { savedSearch: search._id, property: property._id },
+      });
+      match.notifiedAt = new Date();
+      await match.save();
+    }
+  }
+
+  return matches;
+};
+
+// Sends one digest per daily saved search that has pending matches
+const sendDailyDigests = async () => {
+  const cutoff = new Date(Date.now() - DIGEST_INTERVAL_MS);
+  const searches = await SavedSearch.find({
+    frequency: "daily",
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: cutoff } }],
+  });
+
+  for (const search of searches) {
+    const pending = await SavedSearchMatch.find({
+      savedSearch: search._id,
+      notifiedAt: null,
+    }).populate({
+      path: "property",
+      select: "title location price",
+      match: { ...Property.PUBLIC_FILTER, status: "active" },
+    });
+
+    // Listings unpublished or closed since they matched are left out; their
+    // matches stay pending in case the listing comes back
+    const sendable = pending.filter((m) => m.property);
+    const properties = sendable.map((m) => m.property);
+    if (properties.length) {
+      await notify({
+        user: search.user,
+        type: "saved_search.digest",
+        title: `${properties.length} new listing(s) for "${search.name}"`,
+        message: properties.map((p) => `${p.title} in ${p.location} at ${p.price}`).join("\n"),
+        data: { savedSearch: search._id, properties: properties.map((p) => p._id) },
+      });
+      await SavedSearchMatch.updateMany(
+        { _id: { $in: sendable.map((m) => m._id) } },
+        { notifiedAt: new Date() }
+      );
+    }
+
+    search.lastDigestAt = new Date();
+    await search.save();
+  }
+};
+
+// Checks hourly; each search still only receives one digest per day
+const startDigestScheduler = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    sendDailyDigests().catch((err) => logger.error("Error sending saved search digests:", err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { recordMatches, sendDailyDigests, startDigestScheduler };
@@ -0,0 +1,211 @@
+const Property = require("../models/Property");
+const User = require("../models/User");
+const { haversineKm } = require("../utils/geo");
+
+const CANDIDATE_LIMIT = 200;
+const SIMILAR_RADIUS_KM = 50;
+const PRICE_BAND = 0.3; // Listings within ±30% score on price
+const MIN_COMPARABLES = 3;
+
+// Relative weight of each signal in the similarity score
+const WEIGHTS = {
+  type: 0.2,
+  price: 0.25,
+  rooms: 0.15,
+  squareFootage: 0.1,
+  amenities: 0.1,
+  distance: 0.2,
+};
+
+const coordinatesOf = (property) => {
+  const coords = property.locationCoordinates && property.locationCoordinates.coordinates;
+  return coords && coords.length === 2 && !(coords[0] === 0 && coords[1] === 0) ? coords : null;
+};
+
+// 1 when equal, falling linearly to 0 at `range` apart
+const closeness = (a, b, range) => Math.max(0, 1 - Math.abs(a - b) / range);
+
+const jaccard = (a = [], b = []) => {
+  const left = new Set(a.map((item) => item.toLowerCase()));
+  const right = new Set(b.map((item) => item.toLowerCase()));
+  if (!left.size && !right.size) return 1;
+  const shared = [...left].filter((item) => right.has(item)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+/**
+ * Scores `candidate` against `subject` between 0 and 1. Signals that cannot
+ * be compared (no coordinates, no square footage) are left out of the
+ * weighting instead of counting as a mismatch.
+ */
+const similarityScore = (subject, candidate, distanceKm) => {
+  const signals = {
+    type: subject.type === candidate.type ? 1 : 0,
+    price: subject.price ? closeness(subject.price, candidate.price, subject.price * PRICE_BAND) : null,
+    rooms:
+      (closeness(subject.bedrooms || 0, candidate.bedrooms || 0, 3) +
+        closeness(subject.bathrooms || 0, candidate.bathrooms || 0, 3)) /
+      2,
+    squareFootage:
+      subject.squareFootage && candidate.squareFootage
+        ? closeness(subject.squareFootage, candidate.squareFootage, subject.squareFootage * 0.5)
+        : null,
+    amenities: jaccard(subject.amenities, candidate.amenities),
+    distance: distanceKm === null ? null : closeness(0, distanceKm, SIMILAR_RADIUS_KM),
+  };
+
+  let score = 0;
+  let weight = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null) continue;
+    score += WEIGHTS[signal] * value;
+    weight += WEIGHTS[signal];
+  }
+  return weight ? Math.round((score / weight) * 1000) / 1000 : 0;
+};
+
+/**
+ * Listings matching `query` within `radiusKm` of `coords`, nearest first
+ * unless `sort` is given. Without coordinates there is no distance to
+ * filter on, so matches are ordered by `sort` (newest first by default).
+ */
+const findNearby = (query, coords, { radiusKm, sort, limit }) => {
+  if (!coords) {
+    return Property.find(query).sort(sort || { createdAt: -1 }).limit(limit).lean();
+  }
+  return Property.aggregate([
+    {
+      $geoNear: {
+        near: { type: "Point", coordinates: coords },
+        key: "locationCoordinates",
+        distanceField: "distanceKm",
+        distanceMultiplier: 0.001, // Metres to kilometres
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query,
+      },
+    },
+    ...(sort ? [{ $sort: sort }] : []),
+    { $limit: limit },
+  ]);
+};
+
+/**
+ * Active public listings most similar to `property`, best first. Each
+ * result carries `similarity` (0-1) and `distanceKm` when both listings
+ * have coordinates.
+ */
+const similarProperties = async (property, { limit = 6 } = {}) => {
+  const coords = coordinatesOf(property);
+  const query = {
+    _id: { $ne: property._id },
+    status: "active",
+    ...Property.PUBLIC_FILTER,
+  };
+  if (property.price) {
+    query.price = { $gte: property.price * (1 - PRICE_BAND), $lte: property.price * (1 + PRICE_BAND) };
+  }
+
+  const candidates = await findNearby(query, coords, {
+    radiusKm: SIMILAR_RADIUS_KM,
+    limit: CANDIDATE_LIMIT,
+  });
+  const ranked = candidates
+    .map((candidate) => {
+      const candidateCoords = coordinatesOf(candidate);
+      const distanceKm =
+        coords && candidateCoords ? Math.round(haversineKm(coords, candidateCoords) * 1000) / 1000 : null;
+      return { ...candidate, distanceKm, similarity: similarityScore(property, candidate, distanceKm) };
+    })
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+
+  return Property.populate(ranked, { path: "agent", select: User.AGENT_SUMMARY_FIELDS });
+};
+
+const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+const round = (value, digits = 0) =>
+  value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Recently closed listings of the same type near `property`, with price per
+ * square foot and a suggested price range. Nearby means within `radiusKm`
+ * when the listing has coordinates, otherwise the same `location` text.
+ * The suggestion uses price per square foot when the subject and at least
+ * MIN_COMPARABLES comparables have a size, and raw prices otherwise.
+ * Sale and rent prices are not comparable, so `status` picks one of them.
+ */
+const comparableProperties = async (
+  property,
+  { radiusKm = 5, months = 12, status = "sold", limit = 10 } = {}
+) => {
+  const coords = coordinatesOf(property);
+  const since = new Date();
+  since.setMonth(since.getMonth() - months);
+
+  const query = {
+    _id: { $ne: property._id },
+    type: property.type,
+    status,
+    closedAt: { $gte: since },
+    ...Property.PUBLIC_FILTER,
+  };
+  if (!coords) query.location = property.location;
+
+  const closed = await findNearby(query, coords, { radiusKm, sort: { closedAt: -1 }, limit });
+  const comparables = closed.map((comp) => ({
+    _id: comp._id,
+    title: comp.title,
+    location: comp.location,
+    status: comp.status,
+    closedAt: comp.closedAt,
+    price: comp.price,
+    bedrooms: comp.bedrooms,
+    bathrooms: comp.bathrooms,
+    squareFootage: comp.squareFootage,
+    pricePerSqft: comp.squareFootage ? round(comp.price / comp.squareFootage, 2) : null,
+    distanceKm: comp.distanceKm === undefined ? null : round(comp.distanceKm, 3),
+  }));
+
+  const perSqft = comparables
+    .map((comp) => comp.pricePerSqft)
+    .filter((value) => value !== null)
+    .sort((a, b) => a - b);
+  const prices = comparables.map((comp) => comp.price).sort((a, b) => a - b);
+
+  let suggestedPrice = null;
+  if (property.squareFootage && perSqft.length >= MIN_COMPARABLES) {
+    suggestedPrice = {
+      basis: "pricePerSqft",
+      low: round(percentile(perSqft, 0.25) * property.squareFootage),
+      mid: round(percentile(perSqft, 0.5) * property.squareFootage),
+      high: round(percentile(perSqft, 0.75) * property.squareFootage),
+    };
+  } else if (prices.length >= MIN_COMPARABLES) {
+    suggestedPrice = {
+      basis: "price",
+      low: round(percentile(prices, 0.25)),
+      mid: round(percentile(prices, 0.5)),
+      high: round(percentile(prices, 0.75)),
+    };
+  }
+
+  return {
+    comparables,
+    stats: {
+      count: comparables.length,
+      medianPrice: round(percentile(prices, 0.5)),
+      medianPricePerSqft: round(percentile(perSqft, 0.5), 2),
+    },
+    suggestedPrice,
+  };
+};
+
+module.exports = { similarProperties, comparableProperties };
@@ -0,0 +1,41 @@
+const cloudinary = require("../../config/cloudinary");
+
+const uploadOptions = ({ folder, width }) => ({
+  folder,
+  allowed_formats: ["jpg", "jpeg", "png"],
+  transformation: [{ width, crop: "scale", quality: "auto", fetch_format: "auto" }],
+});
+
+const toRecord = (result) => ({
+  url: result.secure_url,
+  public_id: result.public_id,
+  width: result.width,
+  height: result.height,
+  bytes: result.bytes,
+});
+
+// Buffers are streamed; strings (data URIs, remote URLs) are passed through as-is
+const upload = (source, options) => {
+  if (typeof source === "string") {
+    return cloudinary.uploader.upload(source, uploadOptions(options)).then(toRecord);
+  }
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(uploadOptions(options), (err, result) => {
+      if (err) return reject(err);
+      resolve(toRecord(result));
+    });
+    stream.end(source);
+  });
+};
+
+const destroy = async (publicId) => {
+  const result = await cloudinary.uploader.destroy(publicId, { invalidate: true });
+  // "not found" means there is nothing left to clean up
+  if (result && !["ok", "not found"].includes(result.result)) {
+    throw new Error(`Unexpected destroy result: ${result.result}`);
+  }
+};
+
+const url = (publicId) => cloudinary.url(publicId, { secure: true });
+
+module.exports = { upload, destroy, url };
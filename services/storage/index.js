@@ -0,0 +1,34 @@
+const cloudinaryStorage = require("./cloudinaryStorage");
+const localStorage = require("./localStorage");
+
+/**
+ * A storage backend is any object implementing:
+ *   upload(source, { folder, width }) -> { url, public_id, width, height, bytes }
+ *     where source is a Buffer or a data URI / remote URL string
+ *   destroy(publicId) -> resolves once the file is gone (missing files are not an error)
+ *   url(publicId) -> public URL of a stored file
+ */
+const backends = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+const registerBackend = (name, backend) => {
+  for (const method of ["upload", "destroy", "url"]) {
+    if (!backend || typeof backend[method] !== "function") {
+      throw new Error(`Storage backend "${name}" must implement ${method}()`);
+    }
+  }
+  backends[name] = backend;
+};
+
+// MEDIA_STORAGE selects the backend; Cloudinary stays the default
+const storageName = () => process.env.MEDIA_STORAGE || "cloudinary";
+
+const getStorage = () => {
+  const backend = backends[storageName()];
+  if (!backend) throw new Error(`Unknown media storage "${storageName()}"`);
+  return backend;
+};
+
+module.exports = { getStorage, storageName, registerBackend };
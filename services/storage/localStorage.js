@@ -0,0 +1,79 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const sharp = require("sharp");
+
+// Route the static handler is mounted on; see app.js
+const ROUTE = "/media";
+
+const root = () => path.resolve(process.env.MEDIA_LOCAL_DIR || "uploads");
+
+// Set MEDIA_PUBLIC_URL (e.g. https://api.example.com/media) when clients live on another origin
+const url = (publicId) => `${(process.env.MEDIA_PUBLIC_URL || ROUTE).replace(/\/$/, "")}/${publicId}`;
+
+// Resolves a public_id to a path inside the media root, refusing anything that escapes it
+const filePath = (publicId) => {
+  const base = root();
+  const file = path.resolve(base, publicId);
+  if (!file.startsWith(base + path.sep)) throw new Error(`Invalid media id "${publicId}"`);
+  return file;
+};
+
+const DATA_URI = /^data:[\w/+.-]+;base64,(.*)$/s;
+
+// Only bytes the client sent with the request are stored; remote URLs are
+// never fetched, so uploads can't be used to reach hosts from the server
+const readSource = async (source) => {
+  if (Buffer.isBuffer(source)) return source;
+  const match = typeof source === "string" && DATA_URI.exec(source);
+  if (match) return Buffer.from(match[1], "base64");
+  throw new Error("Images must be uploaded as files or data URIs");
+};
+
+const FORMATS = { jpeg: "jpg", png: "png" };
+
+// Scales to `width` like the Cloudinary transformation, keeping JPEG/PNG as-is
+const upload = async (source, { folder, width }) => {
+  const input = await readSource(source);
+  const image = sharp(input).rotate();
+  const { format } = await image.metadata();
+  if (!FORMATS[format]) throw new Error("Only JPEG and PNG images are allowed");
+
+  const resized = image.resize({ width });
+  const { data, info } = await (format === "png" ? resized.png() : resized.jpeg({ quality: 80 }))
+    .toBuffer({ resolveWithObject: true });
+
+  const publicId = `${folder}/${crypto.randomBytes(12).toString("hex")}.${FORMATS[format]}`;
+  const file = filePath(publicId);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, data);
+
+  return {
+    url: url(publicId),
+    public_id: publicId,
+    width: info.width,
+    height: info.height,
+    bytes: info.size,
+  };
+};
+
+const destroy = async (publicId) => {
+  try {
+    await fs.unlink(filePath(publicId));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+};
+
+// Static handler for stored files; images are embedded cross-origin by the client
+const serve = () =>
+  express.static(root(), {
+    index: false,
+    dotfiles: "deny",
+    maxAge: "7d",
+    immutable: true,
+    setHeaders: (res) => res.setHeader("Cross-Origin-Resource-Policy", "cross-origin"),
+  });
+
+module.exports = { upload, destroy, url, serve, ROUTE };
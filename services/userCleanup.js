@@ -0,0 +1,149 @@
+const Property = require("../models/Property");
+const Favorite = require("../models/Favorite");
+const SavedSearch = require("../models/SavedSearch");
+const SavedSearchMatch = require("../models/SavedSearchMatch");
+const Notification = require("../models/Notification");
+const Inquiry = require("../models/Inquiry");
+const Message = require("../models/Message");
+const Appointment = require("../models/Appointment");
+const AgentAvailability = require("../models/AgentAvailability");
+const RefreshToken = require("../models/RefreshToken");
+const VerificationToken = require("../models/VerificationToken");
+const Review = require("../models/Review");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const AgencyInvitation = require("../models/AgencyInvitation");
+const { removePropertyData } = require("./propertyCleanup");
+const { destroyImages } = require("./media");
+const { notify } = require("./notifier");
+const cache = require("./cache");
+const { logger } = require("../config/logger");
+
+/**
+ * Hands the agent's viewings to the new agent. Upcoming ones that clash with
+ * the new agent's own bookings are cancelled and the buyer is told instead.
+ */
+const reassignAppointments = async (fromUserId, toUserId) => {
+  const upcoming = await Appointment.find({
+    agent: fromUserId,
+    status: { $in: Appointment.BLOCKING_STATUSES },
+    start: { $gt: new Date() },
+  }).sort({ start: 1 });
+
+  for (const appointment of upcoming) {
+    const data = { appointment: appointment._id, property: appointment.property };
+    const conflict = await Appointment.findConflict(toUserId, appointment.start, appointment.end);
+    appointment.updatedAt = Date.now();
+    if (conflict) {
+      appointment.status = "cancelled";
+      await appointment.save();
+      notify({
+        user: appointment.buyer,
+        type: "appointment.cancelled",
+        title: "A viewing was cancelled",
+        message: "The listing moved to an agent who is not free at that time",
+        data,
+      }).catch((err) => logger.error("Error notifying buyer:", err));
+    } else {
+      appointment.agent = toUserId;
+      await appointment.save();
+      notify({
+        user: toUserId,
+        type: "appointment.reassigned",
+        title: "A viewing was handed over to you",
+        message: appointment.start.toISOString(),
+        data,
+      }).catch((err) => logger.error("Error notifying agent:", err));
+    }
+  }
+
+  // Past and closed viewings follow the listings so their history stays together
+  await Appointment.updateMany({ agent: fromUserId }, { agent: toUserId });
+};
+
+/**
+ * Moves every listing (and the inquiry threads and viewings on them) from
+ * one agent to another. Returns the number of listings moved.
+ */
+const reassignListings = async (fromUserId, toUserId) => {
+  const result = await Property.updateMany({ agent: fromUserId }, { agent: toUserId });
+  await Inquiry.updateMany({ agent: fromUserId }, { agent: toUserId });
+  await reassignAppointments(fromUserId, toUserId);
+  await cache.invalidateListings();
+  return result.modifiedCount;
+};
+
+/**
+ * Deletes a user and everything that hangs off them. Listings are either
+ * handed to `reassignTo` or deleted together with their images.
+ * Returns a summary of what was removed.
+ */
+const deleteUserCascade = async (user, { reassignTo } = {}) => {
+  const summary = { propertiesReassigned: 0, propertiesDeleted: 0, imageDeleteFailures: [] };
+
+  if (reassignTo) {
+    summary.propertiesReassigned = await reassignListings(user._id, reassignTo);
+  } else {
+    const properties = await Property.find({ agent: user._id });
+    for (const property of properties) {
+      summary.imageDeleteFailures.push(...(await destroyImages(property.images)));
+      await removePropertyData(property._id);
+      await property.deleteOne();
+      summary.propertiesDeleted += 1;
+    }
+  }
+
+  // Let the other side of any upcoming viewing know it is off
+  const upcoming = await Appointment.find({
+    $or: [{ buyer: user._id }, { agent: user._id }],
+    status: { $in: Appointment.BLOCKING_STATUSES },
+    start: { $gt: new Date() },
+  });
+  for (const appointment of upcoming) {
+    const other = appointment.buyer.equals(user._id) ? appointment.agent : appointment.buyer;
+    notify({
+      user: other,
+      type: "appointment.cancelled",
+      title: "A viewing was cancelled",
+      message: "The other participant's account has been removed",
+      data: { appointment: appointment._id, property: appointment.property },
+    }).catch((err) => logger.error("Error notifying participant:", err));
+  }
+
+  // Agents lose their reviews; agents the user reviewed get their rating recomputed
+  const reviewedAgents = await Review.find({ buyer: user._id }).distinct("agent");
+
+  const threads = await Inquiry.find({ $or: [{ buyer: user._id }, { agent: user._id }] }).select("_id");
+  const threadIds = threads.map((t) => t._id);
+  const searches = await SavedSearch.find({ user: user._id }).select("_id");
+  const webhookIds = await Webhook.find({ owner: user._id }).distinct("_id");
+
+  await Promise.all([
+    Message.deleteMany({ inquiry: { $in: threadIds } }),
+    Inquiry.deleteMany({ _id: { $in: threadIds } }),
+    Appointment.deleteMany({ $or: [{ buyer: user._id }, { agent: user._id }] }),
+    AgentAvailability.deleteMany({ agent: user._id }),
+    Favorite.deleteMany({ user: user._id }),
+    SavedSearchMatch.deleteMany({ savedSearch: { $in: searches.map((s) => s._id) } }),
+    SavedSearch.deleteMany({ user: user._id }),
+    Notification.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    VerificationToken.deleteMany({ user: user._id }),
+    Review.deleteMany({ $or: [{ buyer: user._id }, { agent: user._id }] }),
+    WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } }),
+    Webhook.deleteMany({ _id: { $in: webhookIds } }),
+    AgencyInvitation.deleteMany({ user: user._id }),
+  ]);
+  for (const agentId of reviewedAgents) await Review.refreshAgentRating(agentId);
+
+  if (user.avatar && user.avatar.public_id) {
+    summary.imageDeleteFailures.push(...(await destroyImages([user.avatar])));
+  }
+
+  await user.deleteOne();
+  if (summary.propertiesDeleted) await cache.invalidateListings();
+
+  return summary;
+};
+
+module.exports = { reassignListings, deleteUserCascade };
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const Property = require("../models/Property");
+const ViewEvent = require("../models/ViewEvent");
+const PropertyViewer = require("../models/PropertyViewer");
+const { escapeRegex } = require("../utils/regex");
+
+const DEDUP_WINDOW_MS = (Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30) * 60 * 1000;
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|headless|curl|wget|python-requests/i;
+
+// Logged-in viewers are keyed by id; anonymous ones by a salted IP + user agent hash
+const viewerKeyFor = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  const fingerprint = `${req.ip}|${req.get("user-agent") || ""}|${process.env.JWT_SECRET || ""}`;
+  return `anon:${crypto.createHash("sha256").update(fingerprint).digest("hex")}`;
+};
+
+/**
+ * Starts a new dedup window for the viewer unless one is still open. A
+ * window opens with a unique view and lasts DEDUP_WINDOW_MS however often
+ * the viewer comes back within it. The conditional upsert is atomic: with an
+ * open window the filter misses and the insert hits the unique index.
+ */
+const isUniqueView = async (propertyId, viewerKey) => {
+  const now = Date.now();
+  try {
+    await PropertyViewer.updateOne(
+      { property: propertyId, viewerKey, windowStart: { $lte: new Date(now - DEDUP_WINDOW_MS) } },
+      { windowStart: new Date(now), expiresAt: new Date(now + DEDUP_WINDOW_MS) },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+  return true;
+};
+
+/**
+ * Counts a view of the property. Every non-bot hit bumps `views`; a hit
+ * bumps `uniqueViews` and stores an event only when it opens a new dedup
+ * window for the viewer. Both counters are updated with $inc so concurrent
+ * reads cannot race.
+ */
+const recordView = async (property, req) => {
+  if (BOT_PATTERN.test(req.get("user-agent") || "")) return { counted: false };
+
+  // Agents looking at their own listing do not count
+  if (req.user && property.agent && String(property.agent._id || property.agent) === String(req.user._id)) {
+    return { counted: false };
+  }
+
+  const viewerKey = viewerKeyFor(req);
+  const unique = await isUniqueView(property._id, viewerKey);
+  if (unique) {
+    await ViewEvent.create({
+      property: property._id,
+      viewerKey,
+      user: req.user ? req.user._id : undefined,
+    });
+  }
+
+  await Property.updateOne(
+    { _id: property._id },
+    { $inc: unique ? { views: 1, uniqueViews: 1 } : { views: 1 } }
+  );
+
+  return { counted: true, unique };
+};
+
+/**
+ * Ranks listings by time-decayed unique views: each view is worth
+ * 0.5^(ageHours / halfLifeHours), so recent interest outweighs old.
+ */
+const trendingProperties = async ({ location, type, days = 7, halfLifeHours = 24, limit = 10 }) => {
+  const now = new Date();
+  const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const propertyMatch = {
+    "property.status": "active",
+    "property.publicationStatus": { $in: ["published", null] },
+  };
+  if (location) propertyMatch["property.location"] = new RegExp(escapeRegex(location), "i");
+  if (type) propertyMatch["property.type"] = type;
+
+  return ViewEvent.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: "$property",
+        recentViews: { $sum: 1 },
+        score: {
+          $sum: {
+            $pow: [
+              0.5,
+              { $divide: [{ $subtract: [now, "$createdAt"] }, halfLifeHours * 60 * 60 * 1000] },
+            ],
+          },
+        },
+      },
+    },
+    { $lookup: { from: "properties", localField: "_id", foreignField: "_id", as: "property" } },
+    { $unwind: "$property" },
+    { $match: propertyMatch },
+    { $sort: { score: -1 } },
+    { $limit: limit },
+    { $lookup: { from: "users", localField: "property.agent", foreignField: "_id", as: "agent" } },
+    { $set: { agent: { $arrayElemAt: ["$agent", 0] } } },
+    {
+      $replaceWith: {
+        $mergeObjects: [
+          "$property",
+          {
+            agent: {
+              _id: "$agent._id",
+              name: "$agent.name",
+              email: "$agent.email",
+              rating: "$agent.rating",
+            },
+            trendingScore: { $round: ["$score", 4] },
+            recentViews: "$recentViews",
+          },
+        ],
+      },
+    },
+  ]);
+};
+
+module.exports = { recordView, trendingProperties };
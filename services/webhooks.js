@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { postPinned } = require("../utils/network");
+const { logger } = require("../config/logger");
+
+const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+// How long a scheduler run holds a delivery before another run may pick it up
+const CLAIM_MS = DELIVERY_TIMEOUT_MS * 3;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Receivers verify a delivery by computing HMAC-SHA256 of
+ * `${X-Webhook-Timestamp}.${raw body}` with the endpoint secret and
+ * comparing it to the hex digest in X-Webhook-Signature (after "sha256=").
+ */
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const nextRetryAt = (attempts) => new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1));
+
+// POSTs one attempt of `delivery` and records its outcome
+const attemptDelivery = async (delivery, webhook) => {
+  if (!webhook || !webhook.active) {
+    delivery.status = "failed";
+    delivery.error = webhook ? "Webhook is disabled" : "Webhook was deleted";
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date(started);
+
+  try {
+    // Re-checks the host (it may have been re-pointed at an internal address
+    // since it was saved) and connects only to the address it checked
+    const response = await postPinned(webhook.url, {
+      timeoutMs: DELIVERY_TIMEOUT_MS,
+      maxBytes: RESPONSE_BODY_LIMIT,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "RealEstate-Webhooks/1.0",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${sign(webhook.secret, timestamp, body)}`,
+      },
+      body,
+    });
+    delivery.responseStatus = response.status;
+    delivery.responseBody = response.body;
+    delivery.error = response.ok ? undefined : `Endpoint responded with ${response.status}`;
+  } catch (err) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = err.name === "TimeoutError" ? "Request timed out" : err.message;
+  }
+  delivery.durationMs = Date.now() - started;
+
+  if (!delivery.error) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+    delivery.status = "failed";
+    logger.error(
+      `Giving up delivering ${delivery.event} to webhook ${webhook._id} after ${delivery.attempts} attempts`
+    );
+  } else {
+    delivery.nextAttemptAt = nextRetryAt(delivery.attempts);
+  }
+  await delivery.save();
+  return delivery;
+};
+
+const createDelivery = (webhook, payload, extra = {}) =>
+  WebhookDelivery.create({
+    webhook: webhook._id,
+    event: payload.event,
+    eventId: payload.id,
+    payload,
+    // The first attempt runs right away; this only matters if it never finishes
+    nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS),
+    ...extra,
+  });
+
+const envelope = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  data,
+});
+
+/**
+ * Queues `event` for every active webhook subscribed to it and attempts the
+ * first delivery straight away. Agent webhooks only receive events about
+ * their own listings, so pass `agent` for listing events. Returns the
+ * number of webhooks the event was queued for.
+ */
+const emitEvent = async (event, data, { agent } = {}) => {
+  const scopes = [{ scope: "all" }];
+  if (agent) scopes.push({ scope: "own", owner: agent._id || agent });
+
+  const webhooks = await Webhook.find({ active: true, events: event, $or: scopes }).select("+secret");
+  if (!webhooks.length) return 0;
+
+  // Serialise once so every endpoint receives the same document
+  const payload = JSON.parse(JSON.stringify(envelope(event, data)));
+  for (const webhook of webhooks) {
+    const delivery = await createDelivery(webhook, payload);
+    attemptDelivery(delivery, webhook).catch((err) =>
+      logger.error(`Error delivering ${event} to webhook ${webhook._id}:`, err)
+    );
+  }
+  return webhooks.length;
+};
+
+// What receivers get about a listing; moderation notes and internal fields stay out
+const propertyPayload = (property) => {
+  const [lng, lat] = (property.locationCoordinates && property.locationCoordinates.coordinates) || [];
+  return {
+    _id: property._id,
+    externalRef: property.externalRef,
+    title: property.title,
+    description: property.description,
+    price: property.price,
+    location: property.location,
+    coordinates: lng === undefined || (lng === 0 && lat === 0) ? null : { lat, lng },
+    type: property.type,
+    status: property.status,
+    publicationStatus: property.publicationStatus || "published",
+    bedrooms: property.bedrooms,
+    bathrooms: property.bathrooms,
+    squareFootage: property.squareFootage,
+    amenities: property.amenities,
+    images: (property.images || []).map((img) => ({
+      url: img.url,
+      isCover: Boolean(img.isCover),
+      alt: img.alt,
+      caption: img.caption,
+    })),
+    agent: property.agent && (property.agent._id || property.agent),
+    createdAt: property.createdAt,
+    publishedAt: property.publishedAt,
+  };
+};
+
+/**
+ * Listing events go to admin webhooks and to the listing agent's own
+ * webhooks. Like the realtime stream, only published listings are sent;
+ * "property.unpublished" is the one event about a listing leaving that state.
+ */
+const emitPropertyEvent = async (event, property, extra = {}) => {
+  if (!property.isPublished() && event !== "property.unpublished") return 0;
+  return emitEvent(event, { property: propertyPayload(property), ...extra }, {
+    agent: property.agent,
+  }).catch((err) => {
+    logger.error(`Error emitting ${event} webhook:`, err);
+    return 0;
+  });
+};
+
+// Sends a test event to one webhook regardless of its subscriptions
+const pingWebhook = async (webhook) => {
+  const payload = JSON.parse(
+    JSON.stringify(envelope("ping", { webhook: webhook._id, url: webhook.url }))
+  );
+  const delivery = await createDelivery(webhook, payload);
+  return attemptDelivery(delivery, webhook);
+};
+
+/**
+ * Sends a logged delivery again as a new delivery with the same event ID,
+ * so receivers can recognise duplicates. Resolves after the first attempt;
+ * failures are retried like any other delivery.
+ */
+const redeliver = async (original, webhook) => {
+  const delivery = await createDelivery(webhook, original.payload, { redeliveryOf: original._id });
+  return attemptDelivery(delivery, webhook);
+};
+
+const retryPendingDeliveries = async (batchSize = 50) => {
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(batchSize);
+
+  for (const delivery of due) {
+    // Claim the delivery so an overlapping run or another instance skips it
+    const claimed = await WebhookDelivery.updateOne(
+      { _id: delivery._id, status: "pending", nextAttemptAt: delivery.nextAttemptAt },
+      { nextAttemptAt: new Date(Date.now() + CLAIM_MS) }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    try {
+      const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+      await attemptDelivery(delivery, webhook);
+    } catch (err) {
+      logger.error(`Error retrying webhook delivery ${delivery._id}:`, err);
+    }
+  }
+};
+
+const startWebhookRetryScheduler = (intervalMs = 30 * 1000) => {
+  const timer = setInterval(() => {
+    retryPendingDeliveries().catch((err) => logger.error("Error retrying webhook deliveries:", err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS: Webhook.EVENTS,
+  generateSecret,
+  sign,
+  emitEvent,
+  emitPropertyEvent,
+  pingWebhook,
+  redeliver,
+  retryPendingDeliveries,
+  startWebhookRetryScheduler,
+};
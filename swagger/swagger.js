@@ -18,6 +18,41 @@ const options = {
           bearerFormat: 'JWT',
         },
       },
+      schemas: {
+        // Shape of every error response (see middleware/errorHandler.js)
+        ErrorResponse: {
+          type: 'object',
+          required: ['success', 'message', 'code', 'requestId'],
+          properties: {
+            success: { type: 'boolean', example: false },
+            message: { type: 'string', example: 'Property not found' },
+            code: {
+              type: 'string',
+              description:
+                'Machine-readable error code, e.g. VALIDATION_ERROR, INVALID_ID, INVALID_JSON, ' +
+                'UNAUTHORIZED, TOKEN_EXPIRED, FORBIDDEN, NOT_FOUND, CONFLICT, DUPLICATE_KEY, ' +
+                'PAYLOAD_TOO_LARGE, INTERNAL_ERROR',
+              example: 'NOT_FOUND',
+            },
+            details: {
+              type: 'array',
+              description: 'Per-field problems for validation and duplicate-key errors',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  msg: { type: 'string' },
+                  value: {},
+                },
+              },
+            },
+            requestId: {
+              type: 'string',
+              description: 'Also returned in the X-Request-Id header',
+            },
+          },
+        },
+      },
     },
     security: [{ bearerAuth: [] }],
   },
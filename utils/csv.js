@@ -0,0 +1,67 @@
+// RFC 4180 helpers: fields with commas, quotes or newlines are quoted
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Stop spreadsheets from evaluating user-supplied text as a formula
+  if (typeof value === "string" && /^[=+\-@\t]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsv).join(",") + "\r\n";
+
+// Reverses the formula guard added by escapeCsv
+const unescapeCsv = (text) => (/^'[=+\-@\t]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Parses CSV text into one object per data row, keyed by the header row.
+ * Throws on an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  const endField = () => {
+    row.push(unescapeCsv(field));
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (input[i + 1] === '"') field += input[++i];
+      else quoted = false;
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length) endRow();
+
+  const [header = [], ...records] = rows;
+  const columns = header.map((name) => name.trim());
+  return records.map((values) =>
+    columns.reduce((record, column, i) => {
+      if (column) record[column] = values[i];
+      return record;
+    }, {})
+  );
+};
+
+module.exports = { escapeCsv, toCsvRow, parseCsv };
@@ -0,0 +1,54 @@
+/**
+ * Application errors. Throw them from handlers and middleware; the central
+ * error handler turns them into the standard error envelope using their
+ * HTTP `status` and machine-readable `code`. `details` carries structured
+ * extras such as per-field validation errors.
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", { code = "VALIDATION_ERROR", details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Not authorized", { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Not authorized", { code = "FORBIDDEN", details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = "NOT_FOUND", details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+};
@@ -0,0 +1,185 @@
+// Renders listings as RSS 2.0, Atom 1.0, a portal XML feed and a sitemap
+const { element, emptyElement, XML_DECLARATION } = require("./xml");
+const { appUrl, listingUrl } = require("./urls");
+
+const currency = () => process.env.FEED_CURRENCY || "USD";
+
+// Most recent moment a listing changed in a way feed readers care about
+const lastChanged = (property) =>
+  new Date(
+    Math.max(
+      ...[property.createdAt, property.publishedAt, property.priceChangedAt]
+        .filter(Boolean)
+        .map((date) => new Date(date).getTime())
+    )
+  );
+
+const newestChange = (properties) =>
+  properties.length
+    ? new Date(Math.max(...properties.map((property) => lastChanged(property).getTime())))
+    : null;
+
+const published = (property) => new Date(property.publishedAt || property.createdAt);
+
+const coverImage = (property) =>
+  (property.images || []).find((img) => img.isCover) || (property.images || [])[0];
+
+const coordinates = (property) => {
+  const [lng, lat] = (property.locationCoordinates && property.locationCoordinates.coordinates) || [];
+  return lng === undefined || (lng === 0 && lat === 0) ? null : { lat, lng };
+};
+
+const summary = (property) =>
+  [
+    `${currency()} ${Number(property.price).toLocaleString("en-US")}`,
+    property.type,
+    property.bedrooms ? `${property.bedrooms} bd` : null,
+    property.bathrooms ? `${property.bathrooms} ba` : null,
+    property.squareFootage ? `${property.squareFootage} sqft` : null,
+    property.location,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+const rssItem = (property) => {
+  const cover = coverImage(property);
+  return element("item", [
+    element("title", property.title),
+    element("link", listingUrl(property._id)),
+    element("guid", listingUrl(property._id), { isPermaLink: "true" }),
+    element("description", `${summary(property)}\n\n${property.description}`),
+    element("category", property.type),
+    element("pubDate", published(property).toUTCString()),
+    cover
+      ? emptyElement("enclosure", {
+          url: cover.url,
+          type: /\.png$/i.test(cover.url) ? "image/png" : "image/jpeg",
+          length: cover.bytes || 0,
+        })
+      : "",
+  ]);
+};
+
+/**
+ * `channel` carries the feed's own `title`, `description` and `selfUrl`
+ * (the request URL, so filtered feeds link back to themselves).
+ */
+const buildRss = (properties, channel) =>
+  XML_DECLARATION +
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">' +
+  element("channel", [
+    element("title", channel.title),
+    element("link", appUrl()),
+    element("description", channel.description),
+    emptyElement("atom:link", { href: channel.selfUrl, rel: "self", type: "application/rss+xml" }),
+    element("lastBuildDate", (newestChange(properties) || new Date(0)).toUTCString()),
+    ...properties.map(rssItem),
+  ]) +
+  "</rss>";
+
+const atomEntry = (property) =>
+  element("entry", [
+    element("id", listingUrl(property._id)),
+    element("title", property.title),
+    emptyElement("link", { href: listingUrl(property._id), rel: "alternate" }),
+    element("published", published(property).toISOString()),
+    element("updated", lastChanged(property).toISOString()),
+    element("summary", summary(property)),
+    element("content", property.description, { type: "text" }),
+    emptyElement("category", { term: property.type }),
+    property.agent && property.agent.name
+      ? element("author", [element("name", property.agent.name)])
+      : "",
+  ]);
+
+const buildAtom = (properties, channel) =>
+  XML_DECLARATION +
+  element(
+    "feed",
+    [
+      element("id", channel.selfUrl),
+      element("title", channel.title),
+      element("subtitle", channel.description),
+      emptyElement("link", { href: channel.selfUrl, rel: "self", type: "application/atom+xml" }),
+      emptyElement("link", { href: appUrl(), rel: "alternate" }),
+      element("updated", (newestChange(properties) || new Date(0)).toISOString()),
+      element("author", [element("name", channel.title)]),
+      ...properties.map(atomEntry),
+    ],
+    { xmlns: "http://www.w3.org/2005/Atom" }
+  );
+
+const listingElement = (property) => {
+  const point = coordinates(property);
+  const agent = property.agent || {};
+  return element(
+    "listing",
+    [
+      element("externalRef", property.externalRef),
+      element("url", listingUrl(property._id)),
+      element("title", property.title),
+      element("description", property.description),
+      element("status", property.status),
+      element("type", property.type),
+      element("price", property.price, { currency: currency() }),
+      element("bedrooms", property.bedrooms),
+      element("bathrooms", property.bathrooms),
+      element("squareFootage", property.squareFootage),
+      element("location", [
+        element("address", property.location),
+        point ? element("latitude", point.lat) : "",
+        point ? element("longitude", point.lng) : "",
+      ]),
+      (property.amenities || []).length
+        ? element("amenities", property.amenities.map((name) => element("amenity", name)))
+        : "",
+      (property.images || []).length
+        ? element(
+            "images",
+            property.images.map((img) =>
+              element("image", [element("url", img.url), element("caption", img.caption || img.alt)], {
+                cover: img.isCover ? "true" : undefined,
+                width: img.width,
+                height: img.height,
+              })
+            )
+          )
+        : "",
+      element("agent", [
+        element("name", agent.name),
+        element("email", agent.email),
+        element("phone", agent.phone),
+      ]),
+      element("listedAt", published(property).toISOString()),
+      element("updatedAt", lastChanged(property).toISOString()),
+    ],
+    { id: property._id }
+  );
+};
+
+// Output depends only on the listings, so unchanged feeds keep their ETag
+const buildListingFeed = (properties) => {
+  const updated = newestChange(properties);
+  return (
+    XML_DECLARATION +
+    element("listings", properties.map(listingElement), {
+      count: properties.length,
+      updated: updated ? updated.toISOString() : undefined,
+    })
+  );
+};
+
+const buildSitemap = (properties) =>
+  XML_DECLARATION +
+  element(
+    "urlset",
+    properties.map((property) =>
+      element("url", [
+        element("loc", listingUrl(property._id)),
+        element("lastmod", lastChanged(property).toISOString()),
+      ])
+    ),
+    { xmlns: "http://www.sitemaps.org/schemas/sitemap/0.9" }
+  );
+
+module.exports = { buildRss, buildAtom, buildListingFeed, buildSitemap };
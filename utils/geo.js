@@ -0,0 +1,117 @@
+// GeoJSON helpers for map queries. Coordinates are always [longitude, latitude].
+
+const isLng = (n) => Number.isFinite(n) && n >= -180 && n <= 180;
+const isLat = (n) => Number.isFinite(n) && n >= -90 && n <= 90;
+
+// "minLng,minLat,maxLng,maxLat" -> [minLng, minLat, maxLng, maxLat], or null if malformed
+const parseBbox = (value) => {
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 4) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isLng(minLng) || !isLng(maxLng) || !isLat(minLat) || !isLat(maxLat)) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return parts;
+};
+
+const bboxToPolygon = ([minLng, minLat, maxLng, maxLat]) => ({
+  type: "Polygon",
+  coordinates: [
+    [
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat],
+    ],
+  ],
+});
+
+// Bounds the O(n²) self-intersection check below
+const MAX_POLYGON_POINTS = 200;
+
+// Sign of the turn a -> b -> c: 1 left, -1 right, 0 collinear
+const orientation = (a, b, c) =>
+  Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+
+const onSegment = (a, b, p) =>
+  Math.min(a[0], b[0]) <= p[0] &&
+  p[0] <= Math.max(a[0], b[0]) &&
+  Math.min(a[1], b[1]) <= p[1] &&
+  p[1] <= Math.max(a[1], b[1]);
+
+// Whether segments ab and cd touch or cross, including collinear overlap
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (
+    (o1 === 0 && onSegment(a, b, c)) ||
+    (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) ||
+    (o4 === 0 && onSegment(c, d, b))
+  );
+};
+
+/**
+ * MongoDB rejects rings that cross themselves, repeat a vertex or enclose
+ * no area, so those are caught here. Edges are treated as straight lines,
+ * which is close enough to MongoDB's geodesic edges at map-search scale.
+ */
+const isSimpleRing = (ring) => {
+  const edges = ring.slice(0, -1).map((point, i) => [point, ring[i + 1]]);
+  const vertices = new Set(ring.slice(0, -1).map((point) => point.join(",")));
+  if (vertices.size !== edges.length) return false;
+
+  for (let i = 0; i < edges.length; i += 1) {
+    for (let j = i + 1; j < edges.length; j += 1) {
+      // Neighbouring edges share a vertex by design
+      const adjacent = j === i + 1 || (i === 0 && j === edges.length - 1);
+      if (adjacent) {
+        // ...but must not fold back over each other
+        const [a, b] = edges[i];
+        const [c, d] = edges[j];
+        const shared = j === i + 1 ? b : a;
+        const [p, q] = j === i + 1 ? [a, d] : [b, c];
+        if (orientation(p, shared, q) === 0 && !onSegment(p, q, shared)) return false;
+        continue;
+      }
+      if (segmentsIntersect(...edges[i], ...edges[j])) return false;
+    }
+  }
+  return true;
+};
+
+// "lng,lat;lng,lat;..." -> GeoJSON Polygon with a closed ring, or null if
+// malformed or not a simple (non-self-intersecting) polygon
+const parsePolygon = (value) => {
+  const points = String(value)
+    .split(";")
+    .map((pair) => pair.split(",").map(Number));
+  if (points.length > MAX_POLYGON_POINTS + 1) return null;
+  if (points.some((p) => p.length !== 2 || !isLng(p[0]) || !isLat(p[1]))) return null;
+
+  const ring = [...points];
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+  if (ring.length < 4) return null; // A triangle plus the closing point
+  if (!isSimpleRing(ring)) return null;
+
+  return { type: "Polygon", coordinates: [ring] };
+};
+
+// Great-circle distance in kilometres
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+};
+
+// Listings that were never geocoded keep the schema default of [0, 0]
+const HAS_COORDINATES = { "locationCoordinates.coordinates": { $ne: [0, 0] } };
+
+module.exports = { parseBbox, bboxToPolygon, parsePolygon, haversineKm, HAS_COORDINATES };
@@ -0,0 +1,29 @@
+const crypto = require("crypto");
+
+const setCacheHeaders = (res, payload, { maxAge = 60, isPrivate = false } = {}) => {
+  const etag = `"${crypto.createHash("sha1").update(payload).digest("base64url")}"`;
+
+  res.set("ETag", etag);
+  res.set(
+    "Cache-Control",
+    isPrivate ? "private, no-cache" : `public, max-age=${maxAge}, must-revalidate`
+  );
+};
+
+/**
+ * Sets a strong ETag and Cache-Control before sending JSON. Express answers
+ * 304 on its own when the request's If-None-Match matches the ETag.
+ */
+const sendCacheable = (req, res, body, options) => {
+  const payload = JSON.stringify(body);
+  setCacheHeaders(res, payload, options);
+  res.type("json").send(payload);
+};
+
+// Same as sendCacheable for a pre-rendered document
+const sendCacheableText = (req, res, text, { type, ...options }) => {
+  setCacheHeaders(res, text, options);
+  res.type(type).send(text);
+};
+
+module.exports = { sendCacheable, sendCacheableText };
@@ -0,0 +1,74 @@
+// Minimal RFC 5545 writer for appointment exports
+
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets must be folded with CRLF + space
+const fold = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut -= 1;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join("\r\n ");
+};
+
+const STATUS_MAP = {
+  requested: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  declined: "CANCELLED",
+  cancelled: "CANCELLED",
+};
+
+const appointmentEvent = (appointment) => {
+  const property = appointment.property || {};
+  const buyer = appointment.buyer || {};
+  const description = [
+    `Viewing (${appointment.mode === "virtual" ? "virtual" : "in person"})`,
+    buyer.name ? `Buyer: ${buyer.name}${buyer.email ? ` <${buyer.email}>` : ""}` : null,
+    appointment.meetingUrl ? `Join: ${appointment.meetingUrl}` : null,
+    appointment.notes || null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:appointment-${appointment._id}@realestate-api`,
+    `DTSTAMP:${formatDate(appointment.updatedAt || Date.now())}`,
+    `DTSTART:${formatDate(appointment.start)}`,
+    `DTEND:${formatDate(appointment.end)}`,
+    `SUMMARY:${escapeText(`Viewing: ${property.title || "Property"}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    property.location ? `LOCATION:${escapeText(property.location)}` : null,
+    `STATUS:${STATUS_MAP[appointment.status] || "TENTATIVE"}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+const buildCalendar = (appointments, name = "Property viewings") =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Real Estate API//Viewings//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...appointments.flatMap(appointmentEvent),
+    "END:VCALENDAR",
+  ]
+    .map(fold)
+    .join("\r\n") + "\r\n";
+
+module.exports = { buildCalendar };
@@ -0,0 +1,40 @@
+// Reads pixel dimensions from a JPEG or PNG header without decoding the image
+
+const pngSize = (buffer) => {
+  // Signature (8 bytes), IHDR length + type (8 bytes), then width and height
+  if (buffer.length < 24 || buffer.toString("ascii", 12, 16) !== "IHDR") return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), type: "png" };
+};
+
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Padding bytes between markers
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        type: "jpeg",
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const imageSize = (buffer) => {
+  if (!buffer || buffer.length < 4) return null;
+  if (buffer[0] === 0x89 && buffer.toString("ascii", 1, 4) === "PNG") return pngSize(buffer);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return jpegSize(buffer);
+  return null;
+};
+
+module.exports = { imageSize };
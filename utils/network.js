@@ -0,0 +1,127 @@
+const dns = require("dns").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// Addresses a server-side request must never reach: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  blocked.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blocked.addSubnet(address, prefix, "ipv6");
+}
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it wraps
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Resolves the host of `url` and throws unless it is http(s) and every
+ * address it resolves to is public. Returns the parsed URL and the checked
+ * addresses; connect only to those (see postPinned), or a second lookup
+ * could be answered with an internal address.
+ */
+const resolvePublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("URL is not valid");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error("URL must use http or https");
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.lookup(host, { all: true });
+    } catch {
+      throw new Error(`Could not resolve ${host}`);
+    }
+  }
+  if (!addresses.length || addresses.some((entry) => isPrivateAddress(entry.address))) {
+    throw new Error("URL must point to a public address");
+  }
+  return { url: parsed, addresses };
+};
+
+const assertPublicUrl = async (url) => (await resolvePublicUrl(url)).url;
+
+/**
+ * POSTs `body` to a public URL, connecting only to the addresses that were
+ * checked. TLS still verifies the certificate against the URL's host name.
+ * Redirects are not followed. Resolves to `{ status, ok, body }` with at most
+ * `maxBytes` of the response body; rejects with a TimeoutError after `timeoutMs`.
+ */
+const postPinned = async (url, { headers, body, timeoutMs, maxBytes }) => {
+  const { url: target, addresses } = await resolvePublicUrl(url);
+  const [pinned] = addresses;
+  const lookup = (hostname, options, callback) =>
+    options && options.all
+      ? callback(null, [pinned])
+      : callback(null, pinned.address, pinned.family);
+  const client = target.protocol === "https:" ? https : http;
+
+  let timer;
+  return new Promise((resolve, reject) => {
+    const options = {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup,
+    };
+    const req = client.request(target, options, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        if (size < maxBytes) chunks.push(chunk);
+        size += chunk.length;
+      });
+      res.on("end", () =>
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          body: Buffer.concat(chunks).toString("utf8").slice(0, maxBytes),
+        })
+      );
+      res.on("error", reject);
+    });
+    // Covers the whole exchange, not just idle time on the socket
+    timer = setTimeout(() => {
+      const err = new Error("Request timed out");
+      err.name = "TimeoutError";
+      req.destroy(err);
+    }, timeoutMs);
+    req.on("error", reject);
+    req.end(body);
+  }).finally(() => clearTimeout(timer));
+};
+
+module.exports = { isPrivateAddress, assertPublicUrl, postPinned };
@@ -0,0 +1,82 @@
+const sanitize = require("mongo-sanitize");
+const { escapeRegex } = require("./regex");
+const { parseBbox, bboxToPolygon, parsePolygon, HAS_COORDINATES } = require("./geo");
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Builds the Mongo filter shared by the listing search routes and saved searches
+const buildPropertyQuery = (params = {}) => {
+  const {
+    location,
+    priceMin,
+    priceMax,
+    type,
+    amenities,
+    bedrooms,
+    bathrooms,
+    squareFootageMin,
+    squareFootageMax,
+    search,
+    lat,
+    lng,
+    radius,
+    bbox,
+    polygon,
+  } = sanitize({ ...params });
+
+  const query = {};
+
+  // Full-text search
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+  // Geospatial queries using $geoWithin; a drawn polygon wins over the viewport box
+  const area = polygon
+    ? parsePolygon(polygon)
+    : bbox && parseBbox(bbox)
+    ? bboxToPolygon(parseBbox(bbox))
+    : null;
+
+  if (area) {
+    query.locationCoordinates = { $geoWithin: { $geometry: area } };
+  } else if (lat && lng && radius) {
+    query.locationCoordinates = {
+      $geoWithin: {
+        $centerSphere: [[Number(lng), Number(lat)], Number(radius) / EARTH_RADIUS_KM], // Radius in radians
+      },
+    };
+  }
+
+  if (query.locationCoordinates || params.sort === "distance") {
+    Object.assign(query, HAS_COORDINATES);
+  }
+
+  if (location) query.location = new RegExp(escapeRegex(location), "i");
+  if (type) query.type = type;
+  if (amenities && amenities.length)
+    query.amenities = {
+      $all: amenities
+        .toString()
+        .split(",")
+        .map((a) => a.trim()),
+    };
+  if (bedrooms) query.bedrooms = Number(bedrooms);
+  if (bathrooms) query.bathrooms = Number(bathrooms);
+
+  if (priceMin || priceMax) {
+    query.price = {};
+    if (priceMin) query.price.$gte = Number(priceMin);
+    if (priceMax) query.price.$lte = Number(priceMax);
+  }
+
+  if (squareFootageMin || squareFootageMax) {
+    query.squareFootage = {};
+    if (squareFootageMin) query.squareFootage.$gte = Number(squareFootageMin);
+    if (squareFootageMax) query.squareFootage.$lte = Number(squareFootageMax);
+  }
+
+  return query;
+};
+
+module.exports = { buildPropertyQuery, EARTH_RADIUS_KM };
@@ -0,0 +1,4 @@
+// Escapes user input so it matches literally inside a RegExp or $regex
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = { escapeRegex };
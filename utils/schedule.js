@@ -0,0 +1,99 @@
+// Time helpers for agent availability. Weekly windows are wall-clock times in
+// the agent's IANA timezone; appointments are stored as UTC instants.
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Wall-clock components of an instant in the given timezone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    dayOfWeek: WEEKDAYS[get("weekday")],
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+};
+
+// Converts a wall-clock time in a timezone to a UTC Date
+const zonedTimeToUtc = (year, month, day, minutes, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const parts = zonedParts(new Date(guess), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes);
+  return new Date(guess - (asUtc - guess));
+};
+
+// True when [start, end) falls inside a single weekly window on one local day
+const isWithinAvailability = (availability, start, end) => {
+  const tz = availability.timezone || "UTC";
+  const from = zonedParts(start, tz);
+  const to = zonedParts(new Date(end.getTime() - 1), tz);
+  if (from.year !== to.year || from.month !== to.month || from.day !== to.day) return false;
+
+  return availability.weekly.some(
+    (w) =>
+      w.dayOfWeek === from.dayOfWeek &&
+      from.minutes >= toMinutes(w.start) &&
+      to.minutes + 1 <= toMinutes(w.end)
+  );
+};
+
+const isBlackedOut = (availability, start, end) =>
+  availability.blackouts.some((b) => b.start < end && b.end > start);
+
+// Candidate slots for a local calendar date ("YYYY-MM-DD"), before conflicts are removed
+const slotsForDate = (availability, date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const tz = availability.timezone || "UTC";
+  const length = availability.slotMinutes;
+  const noon = zonedTimeToUtc(year, month, day, 12 * 60, tz);
+  const { dayOfWeek } = zonedParts(noon, tz);
+  const slots = [];
+
+  availability.weekly
+    .filter((w) => w.dayOfWeek === dayOfWeek)
+    .forEach((w) => {
+      for (let m = toMinutes(w.start); m + length <= toMinutes(w.end); m += length) {
+        const start = zonedTimeToUtc(year, month, day, m, tz);
+        const end = new Date(start.getTime() + length * 60 * 1000);
+        if (!isBlackedOut(availability, start, end)) slots.push({ start, end });
+      }
+    });
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  toMinutes,
+  isValidTimezone,
+  zonedParts,
+  zonedTimeToUtc,
+  isWithinAvailability,
+  isBlackedOut,
+  slotsForDate,
+};
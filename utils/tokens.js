@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REFRESH_COOKIE = "refreshToken";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// `tv` ties the token to user.tokenVersion so "log out everywhere" can revoke it
+const signAccessToken = (user) =>
+  jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  return token;
+};
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  path: "/api/auth",
+});
+
+const setRefreshCookie = (res, token) =>
+  res.cookie(REFRESH_COOKIE, token, {
+    ...cookieOptions(),
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000,
+  });
+
+const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, cookieOptions());
+
+// Issues a fresh access/refresh pair and sets the refresh cookie
+const startSession = async (user, req, res) => {
+  const refreshToken = await issueRefreshToken(user, req);
+  setRefreshCookie(res, refreshToken);
+  return signAccessToken(user);
+};
+
+/**
+ * Exchanges a refresh token for a new one in the same family.
+ * Presenting an already-rotated token is treated as theft: the whole
+ * family is revoked and { reused: true } is returned.
+ */
+const rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return { error: "Invalid refresh token" };
+
+  if (stored.revokedAt) {
+    await revokeFamily(stored.family);
+    return { error: "Refresh token reuse detected", reused: true, user: stored.user };
+  }
+  if (stored.expiresAt <= new Date()) return { error: "Refresh token expired" };
+
+  const next = await issueRefreshToken({ _id: stored.user }, req, stored.family);
+
+  // Conditional update so two concurrent refreshes cannot both rotate the same token
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashToken(next) }
+  );
+  if (!rotated) {
+    await revokeFamily(stored.family);
+    return { error: "Refresh token reuse detected", reused: true, user: stored.user };
+  }
+
+  return { userId: stored.user, refreshToken: next };
+};
+
+const revokeToken = (token) =>
+  RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+const revokeAllForUser = (userId) =>
+  RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+module.exports = {
+  REFRESH_COOKIE,
+  signAccessToken,
+  startSession,
+  rotateRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  revokeToken,
+  revokeAllForUser,
+};
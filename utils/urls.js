@@ -0,0 +1,6 @@
+// Public URLs of the client app, used in emails and syndication feeds
+const appUrl = () => (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+
+const listingUrl = (id) => `${appUrl()}/properties/${id}`;
+
+module.exports = { appUrl, listingUrl };
@@ -0,0 +1,35 @@
+// Minimal XML writing helpers for the syndication feeds
+
+const XML_ENTITIES = { "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" };
+
+// Also drops control characters that are not allowed anywhere in XML 1.0
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[<>&"']/g, (char) => XML_ENTITIES[char]);
+
+const attributes = (attrs) =>
+  Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join("");
+
+/**
+ * Renders `<name attrs>content</name>`. Strings and numbers are escaped,
+ * arrays are treated as already-rendered child elements. Empty values
+ * render nothing so optional fields simply disappear.
+ */
+const element = (name, content, attrs = {}) => {
+  if (content === undefined || content === null || content === "") return "";
+  if (Array.isArray(content)) {
+    const children = content.filter(Boolean);
+    return `<${name}${attributes(attrs)}>${children.join("")}</${name}>`;
+  }
+  return `<${name}${attributes(attrs)}>${escapeXml(content)}</${name}>`;
+};
+
+const emptyElement = (name, attrs = {}) => `<${name}${attributes(attrs)}/>`;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+module.exports = { escapeXml, element, emptyElement, XML_DECLARATION };